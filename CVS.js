@@ -1,4 +1,10 @@
 
+//独立版本中没有vm的log模块，直接输出到控制台
+const log = console;
+
+//独立版本只用到vm中Variable的列表类型常量
+const Variable = {LIST_TYPE: 'list'};
+
 class Color {
     /**
      * @typedef {object} RGBObject - An object representing a color in RGB format.
@@ -440,6 +446,71 @@ class StageLayering {
 // eslint-disable-next-line max-len
 const blockIconURI = 'data:image/svg+xml;base64,PHN2ZyB4bWxucz0iaHR0cDovL3d3dy53My5vcmcvMjAwMC9zdmciIHZpZXdCb3g9Ii00NTkgMjYxIDQwIDQwIj48cGF0aCBkPSJNLTQ0NC40IDI5MC41bC0zLjYtMy42cy0xLjEgMS40LTMuOC44bC0zLjQgOS41Yy0uMS4zLjIuNi41LjVsOS41LTMuNGMtLjYtMi43LjgtMy44LjgtMy44eiIgZmlsbD0iI2Y3YzY3ZiIgc3Ryb2tlPSIjNTc1ZTc1IiBzdHJva2UtbWl0ZXJsaW1pdD0iMTAiLz48cGF0aCBkPSJNLTQ0MS45IDI5MC40bDE5LjUtMjIuMXMxLjMtMS42LS4yLTMuMWMtMS42LTEuNS0zLjEtLjItMy4xLS4ybC0yMi4xIDE5LjUtLjIgMi41IDEuOCAxLjggMS44IDEuOCAyLjUtLjJ6IiBmaWxsPSIjZjQ2ZDM4IiBzdHJva2U9IiM1NzVlNzUiIHN0cm9rZS1taXRlcmxpbWl0PSIxMCIvPjxwYXRoIGZpbGw9Im5vbmUiIHN0cm9rZT0iIzU3NWU3NSIgc3Ryb2tlLWxpbmVjYXA9InJvdW5kIiBzdHJva2UtbWl0ZXJsaW1pdD0iMTAiIGQ9Ik0tNDU1LjEgMjk3LjZsMy44LTMuOCIvPjxwYXRoIGZpbGw9IiM5NWQ4ZDYiIHN0cm9rZT0iIzU3NWU3NSIgc3Ryb2tlLWxpbmVjYXA9InJvdW5kIiBzdHJva2UtbWl0ZXJsaW1pdD0iMTAiIGQ9Ik0tNDQ2LjUgMjgzLjFsNS44IDUuOCAyLjktMy4yLTUuNC01LjR6Ii8+PHBhdGggZmlsbD0iI2ZmZiIgc3Ryb2tlPSIjNTc1ZTc1IiBzdHJva2UtbWl0ZXJsaW1pdD0iMTAiIGQ9Ik0tNDQzLjYgMjg2bC0yLjktMi45LTEuMyAxLjItLjMgMi42IDMuNyAzLjYgMi41LS4xIDEuMi0xLjV6Ii8+PHBhdGggZD0iTS00NDQuOCAyOTAuMmwyLjYtLjIgMTkuNC0yMnMuOC0xLjEuMS0yLjFsLTMwLjkgMzAuOCA3LjgtMi43Yy0uNC0yLjIuNi0zLjUgMS0zLjh6IiBvcGFjaXR5PSIuMiIgZmlsbD0iIzM1MzUzNSIvPjwvc3ZnPg==';
 
+//舞台的逻辑尺寸，画布的实际像素尺寸等于逻辑尺寸乘以分辨率
+const STAGE_WIDTH = 480;
+const STAGE_HEIGHT = 360;
+
+//默认最多缓存的图片数量，超出时释放最久未使用的图片
+const DEFAULT_IMAGE_CACHE_LIMIT = 64;
+
+//图片流量统计：累计达到阈值时立即上报，否则定时上报
+const BLOB_ACCESS_REPORT_SIZE = 2 * 1024 * 1024;
+const BLOB_ACCESS_REPORT_INTERVAL = 30 * 1000;
+
+//枚举类参数的可选值，同时用于下拉菜单和参数校验
+const LINE_CAPS = ['butt', 'round', 'square'];
+const LINE_JOINS = ['miter', 'round', 'bevel'];
+const TEXT_ALIGNS = ['start', 'end', 'left', 'right', 'center'];
+const TEXT_BASELINES = ['top', 'hanging', 'middle', 'alphabetic', 'ideographic', 'bottom'];
+const TEXT_DIRECTIONS = ['ltr', 'rtl', 'inherit'];
+const COMPOSITE_OPERATIONS = [
+    'source-over', 'source-in', 'source-out', 'source-atop',
+    'destination-over', 'destination-in', 'destination-out', 'destination-atop',
+    'lighter', 'copy', 'xor', 'multiply', 'screen', 'overlay', 'darken', 'lighten',
+    'color-dodge', 'color-burn', 'hard-light', 'soft-light', 'difference', 'exclusion',
+    'hue', 'saturation', 'color', 'luminosity'
+];
+
+//粒子发射器的默认参数，方向和Scratch一致(0向上、90向右)，时间单位为秒，颜色在生命周期内从起始值渐变到结束值
+const DEFAULT_EMITTER_PARAMS = {
+    'x': 0,
+    'y': 0,
+    'rate': 30,
+    'lifetime': 1,
+    'speed': 100,
+    'direction': 0,
+    'spread': 30,
+    'gravity': 0,
+    'start size': 6,
+    'end size': 0,
+    'start color': '#ffcc00',
+    'end color': '#ff3300',
+    'start alpha': 1,
+    'end alpha': 0,
+    'shape': 'circle'
+};
+const PARTICLE_SHAPES = ['circle', 'square'];
+
+//每个发射器最多同时存在的粒子数
+const MAX_PARTICLES = 2000;
+
+//这些合成方式会清除图形范围以外的像素，不能只上传图形所在的区域
+const UNBOUNDED_COMPOSITE_OPERATIONS = ['source-in', 'source-out', 'destination-in', 'destination-atop', 'copy'];
+
+//延迟绘制时需要保留的绘图状态，变换和虚线单独保存
+const DRAW_STATE_PROPERTIES = [
+    'fillStyle', 'strokeStyle', 'lineWidth', 'lineCap', 'lineJoin', 'miterLimit', 'lineDashOffset',
+    'font', 'textAlign', 'textBaseline', 'direction', 'globalAlpha', 'globalCompositeOperation',
+    'shadowColor', 'shadowBlur', 'shadowOffsetX', 'shadowOffsetY', 'filter', 'imageSmoothingEnabled'
+];
+
+//录制绘图指令时不记录只读取状态或创建对象的方法
+const UNRECORDED_METHODS = [
+    'getTransform', 'getImageData', 'getLineDash', 'getContextAttributes', 'measureText',
+    'isPointInPath', 'isPointInStroke', 'createImageData', 'createPattern',
+    'createLinearGradient', 'createRadialGradient', 'createConicGradient'
+];
+
 /**
  * @typedef {object} PenState - the pen state associated with a particular target.
  * @property {Boolean} penDown - tracks whether the pen should draw for this target.
@@ -515,7 +586,7 @@ class Scratch3CanvasBlocks {
                 {
                     opcode: 'arc',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'arc([X],[Y],[RADIUS],[START_ANGLE],[END_ANGLE])',
+                    text: 'arc([X],[Y],[RADIUS],[START_ANGLE],[END_ANGLE],[ANTICLOCKWISE])',
                     arguments: {
                         X: {
                             type: Scratch.ArgumentType.NUMBER,
@@ -536,95 +607,158 @@ class Scratch3CanvasBlocks {
                         END_ANGLE: {
                             type: Scratch.ArgumentType.NUMBER,
                             defaultValue: '3.1415926'
+                        },
+                        ANTICLOCKWISE: {
+                            type: Scratch.ArgumentType.BOOLEAN
                         }
                     }
                 },
                 {
-                    opcode: 'rect',
+                    opcode: 'arcTo',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'rect([X],[Y],[W],[H])',
+                    text: 'arcTo([X1],[Y1],[X2],[Y2],[RADIUS])',
                     arguments: {
-                        X: {
+                        X1: {
                             type: Scratch.ArgumentType.NUMBER,
                             defaultValue: '0'
                         },
-                        Y: {
+                        Y1: {
                             type: Scratch.ArgumentType.NUMBER,
                             defaultValue: '0'
                         },
-                        W: {
+                        X2: {
                             type: Scratch.ArgumentType.NUMBER,
                             defaultValue: '100'
                         },
-                        H: {
+                        Y2: {
                             type: Scratch.ArgumentType.NUMBER,
                             defaultValue: '100'
+                        },
+                        RADIUS: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '50'
                         }
                     }
                 },
                 {
-                    opcode: 'clip',
-                    blockType: Scratch.BlockType.COMMAND,
-                    text: 'clip'
-                },
-                {
-                    opcode: 'setLineWidth',
+                    opcode: 'ellipse',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'setLineWidth([LINE_WIDTH])',
+                    text: 'ellipse([X],[Y],[RADIUS_X],[RADIUS_Y],[ROTATION],[START_ANGLE],[END_ANGLE],[ANTICLOCKWISE])',
                     arguments: {
-                        LINE_WIDTH: {
+                        X: {
                             type: Scratch.ArgumentType.NUMBER,
-                            defaultValue: '1'
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        RADIUS_X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '100'
+                        },
+                        RADIUS_Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '50'
+                        },
+                        ROTATION: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        START_ANGLE: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        END_ANGLE: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '6.2831853'
+                        },
+                        ANTICLOCKWISE: {
+                            type: Scratch.ArgumentType.BOOLEAN
                         }
                     }
                 },
                 {
-                    opcode: 'setLineCap',
+                    opcode: 'bezierCurveTo',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'setLineCap([LINE_CAP])',
+                    text: 'bezierCurveTo([CP1X],[CP1Y],[CP2X],[CP2Y],[X],[Y])',
                     arguments: {
-                        LINE_CAP: {
-                            type: Scratch.ArgumentType.STRING,
-                            defaultValue: 'round'
+                        CP1X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        CP1Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        CP2X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '100'
+                        },
+                        CP2Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '100'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '100'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
                         }
                     }
                 },
                 {
-                    opcode: 'setStrokeStyle',
+                    opcode: 'quadraticCurveTo',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'setStrokeStyle([STROKE_STYLE])',
+                    text: 'quadraticCurveTo([CPX],[CPY],[X],[Y])',
                     arguments: {
-                        STROKE_STYLE: {
-                            type: Scratch.ArgumentType.STRING,
-                            defaultValue: '#000000'
+                        CPX: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '50'
+                        },
+                        CPY: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '100'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '100'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
                         }
                     }
                 },
                 {
-                    opcode: 'setFillStyle',
+                    opcode: 'rect',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'setFillStyle([FILL_STYLE])',
+                    text: 'rect([X],[Y],[W],[H])',
                     arguments: {
-                        FILL_STYLE: {
-                            type: Scratch.ArgumentType.STRING,
-                            defaultValue: '#000000'
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        W: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '100'
+                        },
+                        H: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '100'
                         }
                     }
                 },
                 {
-                    opcode: 'stroke',
-                    blockType: Scratch.BlockType.COMMAND,
-                    text: 'stroke'
-                },
-                {
-                    opcode: 'fill',
-                    blockType: Scratch.BlockType.COMMAND,
-                    text: 'fill'
-                },
-                {
-                    opcode: 'clearRect',
+                    opcode: 'roundRect',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'clearRect([X],[Y],[W],[H])',
+                    text: 'roundRect([X],[Y],[W],[H],[RADIUS])',
                     arguments: {
                         X: {
                             type: Scratch.ArgumentType.NUMBER,
@@ -636,93 +770,79 @@ class Scratch3CanvasBlocks {
                         },
                         W: {
                             type: Scratch.ArgumentType.NUMBER,
-                            defaultValue: '480'
+                            defaultValue: '100'
                         },
                         H: {
                             type: Scratch.ArgumentType.NUMBER,
-                            defaultValue: '360'
+                            defaultValue: '100'
+                        },
+                        RADIUS: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '10'
                         }
                     }
                 },
                 {
-                    opcode: 'setFont',
+                    opcode: 'clip',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'setFont([FONT])',
-                    arguments: {
-                        FONT: {
-                            type: Scratch.ArgumentType.STRING,
-                            defaultValue: '30px Arial'
-                        }
-                    }
+                    text: 'clip'
                 },
                 {
-                    opcode: 'strokeText',
+                    opcode: 'createPath',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'strokeText([TEXT],[X],[Y])',
+                    text: 'createPath([NAME],[PATH])',
                     arguments: {
-                        TEXT: {
+                        NAME: {
                             type: Scratch.ArgumentType.STRING,
-                            defaultValue: 'hello world'
-                        },
-                        X: {
-                            type: Scratch.ArgumentType.NUMBER,
-                            defaultValue: '0'
+                            defaultValue: 'path1'
                         },
-                        Y: {
-                            type: Scratch.ArgumentType.NUMBER,
-                            defaultValue: '0'
+                        PATH: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'M 0 0 L 100 0 L 100 100 Z'
                         }
                     }
                 },
                 {
-                    opcode: 'fillText',
+                    opcode: 'fillPath',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'fillText([TEXT],[X],[Y])',
+                    text: 'fillPath([NAME])',
                     arguments: {
-                        TEXT: {
+                        NAME: {
                             type: Scratch.ArgumentType.STRING,
-                            defaultValue: 'hello world'
-                        },
-                        X: {
-                            type: Scratch.ArgumentType.NUMBER,
-                            defaultValue: '0'
-                        },
-                        Y: {
-                            type: Scratch.ArgumentType.NUMBER,
-                            defaultValue: '0'
+                            defaultValue: 'path1'
                         }
                     }
                 },
                 {
-                    opcode: 'measureText',
-                    blockType: Scratch.BlockType.REPORTER,
-                    text: 'measureText([TEXT])',
+                    opcode: 'strokePath',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'strokePath([NAME])',
                     arguments: {
-                        TEXT: {
+                        NAME: {
                             type: Scratch.ArgumentType.STRING,
-                            defaultValue: 'hello world'
+                            defaultValue: 'path1'
                         }
                     }
                 },
                 {
-                    opcode: 'loadImage',
+                    opcode: 'clipPath',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'loadImage([IMAGE_ID])',
+                    text: 'clipPath([NAME])',
                     arguments: {
-                        IMAGE_ID: {
+                        NAME: {
                             type: Scratch.ArgumentType.STRING,
-                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.svg'
+                            defaultValue: 'path1'
                         }
                     }
                 },
                 {
-                    opcode: 'drawImage',
-                    blockType: Scratch.BlockType.COMMAND,
-                    text: 'drawImage([IMAGE_ID],[X],[Y])',
+                    opcode: 'isPointInPath',
+                    blockType: Scratch.BlockType.BOOLEAN,
+                    text: 'isPointInPath([NAME],[X],[Y])',
                     arguments: {
-                        IMAGE_ID: {
+                        NAME: {
                             type: Scratch.ArgumentType.STRING,
-                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.svg'
+                            defaultValue: 'path1'
                         },
                         X: {
                             type: Scratch.ArgumentType.NUMBER,
@@ -735,35 +855,28 @@ class Scratch3CanvasBlocks {
                     }
                 },
                 {
-                    opcode: 'scale',
-                    blockType: Scratch.BlockType.COMMAND,
-                    text: 'scale([SCALE_W],[SCALE_H])',
+                    opcode: 'isPointInStroke',
+                    blockType: Scratch.BlockType.BOOLEAN,
+                    text: 'isPointInStroke([NAME],[X],[Y])',
                     arguments: {
-                        SCALE_W: {
-                            type: Scratch.ArgumentType.NUMBER,
-                            defaultValue: '1.0'
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'path1'
                         },
-                        SCALE_H: {
+                        X: {
                             type: Scratch.ArgumentType.NUMBER,
-                            defaultValue: '1.0'
-                        }
-                    }
-                },
-                {
-                    opcode: 'rotate',
-                    blockType: Scratch.BlockType.COMMAND,
-                    text: 'rotate([ANGLE])',
-                    arguments: {
-                        ANGLE: {
+                            defaultValue: '0'
+                        },
+                        Y: {
                             type: Scratch.ArgumentType.NUMBER,
                             defaultValue: '0'
                         }
                     }
                 },
                 {
-                    opcode: 'translate',
-                    blockType: Scratch.BlockType.COMMAND,
-                    text: 'translate([X],[Y])',
+                    opcode: 'isPointInCurrentPath',
+                    blockType: Scratch.BlockType.BOOLEAN,
+                    text: 'isPointInCurrentPath([X],[Y])',
                     arguments: {
                         X: {
                             type: Scratch.ArgumentType.NUMBER,
@@ -776,334 +889,3380 @@ class Scratch3CanvasBlocks {
                     }
                 },
                 {
-                    opcode: 'transform',
-                    blockType: Scratch.BlockType.COMMAND,
-                    text: 'transform([A],[B],[C],[D],[E],[F])',
+                    opcode: 'isPixelOpaque',
+                    blockType: Scratch.BlockType.BOOLEAN,
+                    text: 'isPixelOpaque([CANVAS],[X],[Y])',
                     arguments: {
-                        A: {
-                            type: Scratch.ArgumentType.NUMBER,
-                            defaultValue: '0'
-                        },
-                        B: {
-                            type: Scratch.ArgumentType.NUMBER,
-                            defaultValue: '0'
-                        },
-                        C: {
-                            type: Scratch.ArgumentType.NUMBER,
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
                             defaultValue: '0'
                         },
-                        D: {
+                        X: {
                             type: Scratch.ArgumentType.NUMBER,
                             defaultValue: '0'
                         },
-                        E: {
+                        Y: {
                             type: Scratch.ArgumentType.NUMBER,
                             defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'isSpriteTouchingCanvas',
+                    blockType: Scratch.BlockType.BOOLEAN,
+                    text: 'isSpriteTouchingCanvas([SPRITE],[CANVAS])',
+                    arguments: {
+                        SPRITE: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'sprites',
+                            defaultValue: '_myself_'
                         },
-                        F: {
-                            type: Scratch.ArgumentType.NUMBER,
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
                             defaultValue: '0'
                         }
                     }
                 },
                 {
-                    opcode: 'clearTransform',
+                    opcode: 'setLineWidth',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'clearTransform'
+                    text: 'setLineWidth([LINE_WIDTH])',
+                    arguments: {
+                        LINE_WIDTH: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '1'
+                        }
+                    }
                 },
                 {
-                    opcode: 'save',
+                    opcode: 'setLineCap',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'save'
+                    text: 'setLineCap([LINE_CAP])',
+                    arguments: {
+                        LINE_CAP: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'lineCaps',
+                            defaultValue: 'round'
+                        }
+                    }
                 },
                 {
-                    opcode: 'restore',
+                    opcode: 'setLineJoin',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'restore'
+                    text: 'setLineJoin([LINE_JOIN])',
+                    arguments: {
+                        LINE_JOIN: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'lineJoins',
+                            defaultValue: 'miter'
+                        }
+                    }
                 },
                 {
-                    opcode: 'setGlobalAlpha',
+                    opcode: 'setMiterLimit',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'setGlobalAlpha([ALPHA])',
+                    text: 'setMiterLimit([MITER_LIMIT])',
                     arguments: {
-                        ALPHA: {
+                        MITER_LIMIT: {
                             type: Scratch.ArgumentType.NUMBER,
-                            defaultValue: '1.0'
+                            defaultValue: '10'
                         }
                     }
                 },
                 {
-                    opcode: 'setGlobalCompositeOperation',
+                    opcode: 'setLineDash',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'setGlobalCompositeOperation([CompositeOperation])',
+                    text: 'setLineDash([LINE_DASH])',
                     arguments: {
-                        CompositeOperation: {
+                        LINE_DASH: {
                             type: Scratch.ArgumentType.STRING,
-                            defaultValue: 'source-over'
+                            defaultValue: '5,5'
                         }
                     }
                 },
                 {
-                    opcode: 'switchCanvas',
+                    opcode: 'setLineDashOffset',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'switchCanvas([NUMBER])',
+                    text: 'setLineDashOffset([OFFSET])',
                     arguments: {
-                        NUMBER: {
+                        OFFSET: {
                             type: Scratch.ArgumentType.NUMBER,
                             defaultValue: '0'
                         }
                     }
                 },
                 {
-                    opcode: 'stampOnStage',
+                    opcode: 'setShadowColor',
                     blockType: Scratch.BlockType.COMMAND,
-                    text: 'stampOnStage'
+                    text: 'setShadowColor([SHADOW_COLOR])',
+                    arguments: {
+                        SHADOW_COLOR: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '#000000'
+                        }
+                    }
                 },
-            ],
-            menus: {}
-        };
+                {
+                    opcode: 'setShadowBlur',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setShadowBlur([SHADOW_BLUR])',
+                    arguments: {
+                        SHADOW_BLUR: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '10'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setShadowOffset',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setShadowOffset([X],[Y])',
+                    arguments: {
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '5'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '5'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setFilter',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setFilter([FILTER])',
+                    arguments: {
+                        FILTER: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'blur(2px)'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setStrokeStyle',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setStrokeStyle([STROKE_STYLE])',
+                    arguments: {
+                        STROKE_STYLE: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '#000000'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setFillStyle',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setFillStyle([FILL_STYLE])',
+                    arguments: {
+                        FILL_STYLE: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '#000000'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setStrokeColor',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setStrokeColor([COLOR])',
+                    arguments: {
+                        COLOR: {
+                            type: Scratch.ArgumentType.COLOR,
+                            defaultValue: '#000000'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setFillColor',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setFillColor([COLOR])',
+                    arguments: {
+                        COLOR: {
+                            type: Scratch.ArgumentType.COLOR,
+                            defaultValue: '#000000'
+                        }
+                    }
+                },
+                {
+                    opcode: 'createLinearGradient',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'createLinearGradient([NAME],[X0],[Y0],[X1],[Y1])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'gradient1'
+                        },
+                        X0: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y0: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        X1: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '480'
+                        },
+                        Y1: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'createRadialGradient',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'createRadialGradient([NAME],[X0],[Y0],[R0],[X1],[Y1],[R1])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'gradient1'
+                        },
+                        X0: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '240'
+                        },
+                        Y0: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '180'
+                        },
+                        R0: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        X1: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '240'
+                        },
+                        Y1: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '180'
+                        },
+                        R1: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '100'
+                        }
+                    }
+                },
+                {
+                    opcode: 'createConicGradient',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'createConicGradient([NAME],[START_ANGLE],[X],[Y])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'gradient1'
+                        },
+                        START_ANGLE: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '240'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '180'
+                        }
+                    }
+                },
+                {
+                    opcode: 'addColorStop',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'addColorStop([NAME],[OFFSET],[COLOR])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'gradient1'
+                        },
+                        OFFSET: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        COLOR: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '#000000'
+                        }
+                    }
+                },
+                {
+                    opcode: 'createPattern',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'createPattern([NAME],[IMAGE_ID],[REPETITION])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'pattern1'
+                        },
+                        IMAGE_ID: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.svg'
+                        },
+                        REPETITION: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'repeat'
+                        }
+                    }
+                },
+                {
+                    opcode: 'stroke',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'stroke'
+                },
+                {
+                    opcode: 'fill',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'fill'
+                },
+                {
+                    opcode: 'clearRect',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'clearRect([X],[Y],[W],[H])',
+                    arguments: {
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        W: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '480'
+                        },
+                        H: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '360'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setFont',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setFont([FONT])',
+                    arguments: {
+                        FONT: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '30px Arial'
+                        }
+                    }
+                },
+                {
+                    opcode: 'loadFont',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'loadFont([FAMILY],[FONT_ID])',
+                    arguments: {
+                        FAMILY: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'MyFont'
+                        },
+                        FONT_ID: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.ttf'
+                        }
+                    }
+                },
+                {
+                    opcode: 'isFontLoaded',
+                    blockType: Scratch.BlockType.BOOLEAN,
+                    text: 'isFontLoaded([FAMILY])',
+                    arguments: {
+                        FAMILY: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'MyFont'
+                        }
+                    }
+                },
+                {
+                    opcode: 'strokeText',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'strokeText([TEXT],[X],[Y])',
+                    arguments: {
+                        TEXT: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'hello world'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'fillText',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'fillText([TEXT],[X],[Y])',
+                    arguments: {
+                        TEXT: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'hello world'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'measureText',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'measureText([TEXT])',
+                    arguments: {
+                        TEXT: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'hello world'
+                        }
+                    }
+                },
+                {
+                    opcode: 'measureTextMetric',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'measureTextMetric([TEXT],[METRIC])',
+                    arguments: {
+                        TEXT: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'hello world'
+                        },
+                        METRIC: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'textMetrics',
+                            defaultValue: 'ascent'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setTextAlign',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setTextAlign([TEXT_ALIGN])',
+                    arguments: {
+                        TEXT_ALIGN: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'textAligns',
+                            defaultValue: 'start'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setTextBaseline',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setTextBaseline([TEXT_BASELINE])',
+                    arguments: {
+                        TEXT_BASELINE: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'textBaselines',
+                            defaultValue: 'alphabetic'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setDirection',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setDirection([DIRECTION])',
+                    arguments: {
+                        DIRECTION: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'textDirections',
+                            defaultValue: 'ltr'
+                        }
+                    }
+                },
+                {
+                    opcode: 'fillWrappedText',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'fillWrappedText([TEXT],[X],[Y],[MAX_WIDTH],[LINE_HEIGHT])',
+                    arguments: {
+                        TEXT: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'hello world'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '30'
+                        },
+                        MAX_WIDTH: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '200'
+                        },
+                        LINE_HEIGHT: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '36'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getPixel',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'getPixel([X],[Y])',
+                    arguments: {
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'getImageDataToList',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'getImageDataToList([X],[Y],[W],[H],[LIST])',
+                    arguments: {
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        W: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '10'
+                        },
+                        H: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '10'
+                        },
+                        LIST: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'pixels'
+                        }
+                    }
+                },
+                {
+                    opcode: 'putImageDataFromList',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'putImageDataFromList([LIST],[X],[Y],[W],[H])',
+                    arguments: {
+                        LIST: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'pixels'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        W: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '10'
+                        },
+                        H: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '10'
+                        }
+                    }
+                },
+                {
+                    opcode: 'strokePolylineFromLists',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'strokePolylineFromLists([XS],[YS])',
+                    arguments: {
+                        XS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'x'
+                        },
+                        YS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'y'
+                        }
+                    }
+                },
+                {
+                    opcode: 'fillPolygonFromLists',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'fillPolygonFromLists([XS],[YS])',
+                    arguments: {
+                        XS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'x'
+                        },
+                        YS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'y'
+                        }
+                    }
+                },
+                {
+                    opcode: 'fillPointsFromLists',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'fillPointsFromLists([XS],[YS],[RADIUS],[SIZES],[COLORS])',
+                    arguments: {
+                        XS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'x'
+                        },
+                        YS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'y'
+                        },
+                        RADIUS: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '2'
+                        },
+                        SIZES: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: ''
+                        },
+                        COLORS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: ''
+                        }
+                    }
+                },
+                {
+                    opcode: 'fillRectsFromLists',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'fillRectsFromLists([XS],[YS],[WS],[HS],[COLORS])',
+                    arguments: {
+                        XS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'x'
+                        },
+                        YS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'y'
+                        },
+                        WS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'w'
+                        },
+                        HS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'h'
+                        },
+                        COLORS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: ''
+                        }
+                    }
+                },
+                {
+                    opcode: 'loadImage',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'loadImage([IMAGE_ID])',
+                    arguments: {
+                        IMAGE_ID: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.svg'
+                        }
+                    }
+                },
+                {
+                    opcode: 'whenImageLoaded',
+                    blockType: Scratch.BlockType.HAT,
+                    text: 'whenImageLoaded([IMAGE_ID])',
+                    arguments: {
+                        IMAGE_ID: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.svg'
+                        }
+                    }
+                },
+                {
+                    opcode: 'imageStatus',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'imageStatus([IMAGE_ID])',
+                    arguments: {
+                        IMAGE_ID: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.svg'
+                        }
+                    }
+                },
+                {
+                    opcode: 'imageError',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'imageError([IMAGE_ID])',
+                    arguments: {
+                        IMAGE_ID: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.svg'
+                        }
+                    }
+                },
+                {
+                    opcode: 'imageWidth',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'imageWidth([IMAGE_ID])',
+                    arguments: {
+                        IMAGE_ID: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.svg'
+                        }
+                    }
+                },
+                {
+                    opcode: 'imageHeight',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'imageHeight([IMAGE_ID])',
+                    arguments: {
+                        IMAGE_ID: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.svg'
+                        }
+                    }
+                },
+                {
+                    opcode: 'unloadImage',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'unloadImage([IMAGE_ID])',
+                    arguments: {
+                        IMAGE_ID: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.svg'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setImageCacheLimit',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setImageCacheLimit([LIMIT])',
+                    arguments: {
+                        LIMIT: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '64'
+                        }
+                    }
+                },
+                {
+                    opcode: 'drawImage',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'drawImage([IMAGE_ID],[X],[Y])',
+                    arguments: {
+                        IMAGE_ID: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.svg'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'drawImageScaled',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'drawImageScaled([IMAGE_ID],[X],[Y],[W],[H])',
+                    arguments: {
+                        IMAGE_ID: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.svg'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        W: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '100'
+                        },
+                        H: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '100'
+                        }
+                    }
+                },
+                {
+                    opcode: 'drawImageRegion',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'drawImageRegion([IMAGE_ID],[SX],[SY],[SW],[SH],[X],[Y],[W],[H])',
+                    arguments: {
+                        IMAGE_ID: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'bcaaa8547a07cfe572c0967ba829e99d.svg'
+                        },
+                        SX: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        SY: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        SW: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '32'
+                        },
+                        SH: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '32'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        W: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '32'
+                        },
+                        H: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '32'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setImageSmoothing',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setImageSmoothing([STATE])',
+                    arguments: {
+                        STATE: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'onOff',
+                            defaultValue: 'off'
+                        }
+                    }
+                },
+                {
+                    opcode: 'drawCostume',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'drawCostume([SPRITE],[COSTUME],[X],[Y])',
+                    arguments: {
+                        SPRITE: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'sprites',
+                            defaultValue: '_myself_'
+                        },
+                        COSTUME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: ''
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'drawStage',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'drawStage([X],[Y])',
+                    arguments: {
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'defineTileset',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'defineTileset([NAME],[IMAGE_ID],[TILE_W],[TILE_H])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'tiles'
+                        },
+                        IMAGE_ID: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '0'
+                        },
+                        TILE_W: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '32'
+                        },
+                        TILE_H: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '32'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setTileMapFromList',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setTileMapFromList([MAP],[TILESET],[COLUMNS],[LIST])',
+                    arguments: {
+                        MAP: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'map1'
+                        },
+                        TILESET: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'tiles'
+                        },
+                        COLUMNS: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '15'
+                        },
+                        LIST: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'map'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setTileMapFromString',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setTileMapFromString([MAP],[TILESET],[TEXT])',
+                    arguments: {
+                        MAP: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'map1'
+                        },
+                        TILESET: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'tiles'
+                        },
+                        TEXT: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '1,1,1;2,0,2'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setTile',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setTile([MAP],[COLUMN],[ROW],[TILE])',
+                    arguments: {
+                        MAP: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'map1'
+                        },
+                        COLUMN: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '1'
+                        },
+                        ROW: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '1'
+                        },
+                        TILE: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'drawTileMap',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'drawTileMap([MAP],[X],[Y],[W],[H],[SCROLL_X],[SCROLL_Y])',
+                    arguments: {
+                        MAP: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'map1'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        W: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '480'
+                        },
+                        H: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '360'
+                        },
+                        SCROLL_X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        SCROLL_Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'tileAtPosition',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'tileAtPosition([MAP],[X],[Y])',
+                    arguments: {
+                        MAP: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'map1'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'scale',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'scale([SCALE_W],[SCALE_H])',
+                    arguments: {
+                        SCALE_W: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '1.0'
+                        },
+                        SCALE_H: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '1.0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'rotate',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'rotate([ANGLE])',
+                    arguments: {
+                        ANGLE: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'translate',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'translate([X],[Y])',
+                    arguments: {
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'transform',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'transform([A],[B],[C],[D],[E],[F])',
+                    arguments: {
+                        A: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        B: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        C: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        D: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        E: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        F: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'clearTransform',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'clearTransform'
+                },
+                {
+                    opcode: 'save',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'save'
+                },
+                {
+                    opcode: 'restore',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'restore'
+                },
+                {
+                    opcode: 'setTransform',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setTransform([A],[B],[C],[D],[E],[F])',
+                    arguments: {
+                        A: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '1'
+                        },
+                        B: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        C: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        D: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '1'
+                        },
+                        E: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        F: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'transformMatrix',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'transformMatrix([ELEMENT])',
+                    arguments: {
+                        ELEMENT: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'matrixElements',
+                            defaultValue: 'a'
+                        }
+                    }
+                },
+                {
+                    opcode: 'transformPoint',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'transformPoint([X],[Y],[AXIS])',
+                    arguments: {
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        AXIS: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'axes',
+                            defaultValue: 'x'
+                        }
+                    }
+                },
+                {
+                    opcode: 'inverseTransformPoint',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'inverseTransformPoint([X],[Y],[AXIS])',
+                    arguments: {
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        AXIS: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'axes',
+                            defaultValue: 'x'
+                        }
+                    }
+                },
+                {
+                    opcode: 'saveDepth',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'saveDepth'
+                },
+                {
+                    opcode: 'setGlobalAlpha',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setGlobalAlpha([ALPHA])',
+                    arguments: {
+                        ALPHA: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '1.0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setGlobalCompositeOperation',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setGlobalCompositeOperation([CompositeOperation])',
+                    arguments: {
+                        CompositeOperation: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'compositeOperations',
+                            defaultValue: 'source-over'
+                        }
+                    }
+                },
+                {
+                    opcode: 'switchCanvas',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'switchCanvas([NUMBER])',
+                    arguments: {
+                        NUMBER: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'createNamedCanvas',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'createNamedCanvas([NAME],[W],[H])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'canvas1'
+                        },
+                        W: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '480'
+                        },
+                        H: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '360'
+                        }
+                    }
+                },
+                {
+                    opcode: 'resizeCanvas',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'resizeCanvas([CANVAS],[W],[H])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'canvas1'
+                        },
+                        W: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '480'
+                        },
+                        H: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '360'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setCanvasResolution',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setCanvasResolution([RESOLUTION])',
+                    arguments: {
+                        RESOLUTION: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '2'
+                        }
+                    }
+                },
+                {
+                    opcode: 'canvasResolution',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'canvasResolution()'
+                },
+                {
+                    opcode: 'deleteCanvas',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'deleteCanvas([CANVAS])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'canvas1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'canvasWidth',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'canvasWidth([CANVAS])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'canvas1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'canvasHeight',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'canvasHeight([CANVAS])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'canvas1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'showCanvasLayer',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'showCanvasLayer([CANVAS],[LAYER])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '0'
+                        },
+                        LAYER: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'layerGroups',
+                            defaultValue: 'sprite'
+                        }
+                    }
+                },
+                {
+                    opcode: 'hideCanvasLayer',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'hideCanvasLayer([CANVAS])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setCanvasLayerPosition',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setCanvasLayerPosition([CANVAS],[X],[Y])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '0'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setCanvasLayerOrder',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setCanvasLayerOrder([CANVAS],[ORDER])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '0'
+                        },
+                        ORDER: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'layerOrders',
+                            defaultValue: 'front'
+                        }
+                    }
+                },
+                {
+                    opcode: 'attachCanvasToSprite',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'attachCanvasToSprite([CANVAS],[SPRITE])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '0'
+                        },
+                        SPRITE: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'sprites',
+                            defaultValue: '_myself_'
+                        }
+                    }
+                },
+                {
+                    opcode: 'detachCanvasFromSprite',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'detachCanvasFromSprite([CANVAS])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setCoordinateMode',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setCoordinateMode([MODE])',
+                    arguments: {
+                        MODE: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'coordinateModes',
+                            defaultValue: 'stage'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setAutoPresent',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setAutoPresent([STATE])',
+                    arguments: {
+                        STATE: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'onOff',
+                            defaultValue: 'on'
+                        }
+                    }
+                },
+                {
+                    opcode: 'canvasToDataURL',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'canvasToDataURL([CANVAS],[FORMAT])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '0'
+                        },
+                        FORMAT: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'imageFormats',
+                            defaultValue: 'png'
+                        }
+                    }
+                },
+                {
+                    opcode: 'canvasRegionToDataURL',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'canvasRegionToDataURL([CANVAS],[X],[Y],[W],[H],[FORMAT])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '0'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        W: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '100'
+                        },
+                        H: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '100'
+                        },
+                        FORMAT: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'imageFormats',
+                            defaultValue: 'png'
+                        }
+                    }
+                },
+                {
+                    opcode: 'canvasToCostume',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'canvasToCostume([CANVAS],[SPRITE],[NAME])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '0'
+                        },
+                        SPRITE: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'sprites',
+                            defaultValue: '_myself_'
+                        },
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'canvas'
+                        }
+                    }
+                },
+                {
+                    opcode: 'downloadCanvas',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'downloadCanvas([CANVAS],[FILE_NAME],[FORMAT])',
+                    arguments: {
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '0'
+                        },
+                        FILE_NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'canvas.png'
+                        },
+                        FORMAT: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'imageFormats',
+                            defaultValue: 'png'
+                        }
+                    }
+                },
+                {
+                    opcode: 'resetCanvas',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'resetCanvas'
+                },
+                {
+                    opcode: 'setPersistCanvases',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setPersistCanvases([STATE])',
+                    arguments: {
+                        STATE: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'onOff',
+                            defaultValue: 'on'
+                        }
+                    }
+                },
+                {
+                    opcode: 'beginRecording',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'beginRecording([NAME])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'shape1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'endRecording',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'endRecording'
+                },
+                {
+                    opcode: 'replayRecording',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'replayRecording([NAME],[X],[Y],[SCALE],[ROTATION])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'shape1'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        SCALE: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '1'
+                        },
+                        ROTATION: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'deleteRecording',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'deleteRecording([NAME])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'shape1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'createEmitter',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'createEmitter([NAME],[CANVAS],[X],[Y])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'emitter1'
+                        },
+                        CANVAS: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '1'
+                        },
+                        X: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        },
+                        Y: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '0'
+                        }
+                    }
+                },
+                {
+                    opcode: 'setEmitterParam',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'setEmitterParam([NAME],[PARAM],[VALUE])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'emitter1'
+                        },
+                        PARAM: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'emitterParams',
+                            defaultValue: 'rate'
+                        },
+                        VALUE: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: '30'
+                        }
+                    }
+                },
+                {
+                    opcode: 'emitterParam',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'emitterParam([NAME],[PARAM])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'emitter1'
+                        },
+                        PARAM: {
+                            type: Scratch.ArgumentType.STRING,
+                            menu: 'emitterParams',
+                            defaultValue: 'rate'
+                        }
+                    }
+                },
+                {
+                    opcode: 'burstEmitter',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'burstEmitter([NAME],[COUNT])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'emitter1'
+                        },
+                        COUNT: {
+                            type: Scratch.ArgumentType.NUMBER,
+                            defaultValue: '50'
+                        }
+                    }
+                },
+                {
+                    opcode: 'emitterParticleCount',
+                    blockType: Scratch.BlockType.REPORTER,
+                    text: 'emitterParticleCount([NAME])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'emitter1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'deleteEmitter',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'deleteEmitter([NAME])',
+                    arguments: {
+                        NAME: {
+                            type: Scratch.ArgumentType.STRING,
+                            defaultValue: 'emitter1'
+                        }
+                    }
+                },
+                {
+                    opcode: 'stampOnStage',
+                    blockType: Scratch.BlockType.COMMAND,
+                    text: 'stampOnStage'
+                },
+            ],
+            menus: {
+                layerGroups: {
+                    acceptReporters: true,
+                    items: [{
+                        text: 'above sprites',
+                        value: StageLayering.SPRITE_LAYER
+                    }, {
+                        text: 'below sprites',
+                        value: StageLayering.PEN_LAYER
+                    }]
+                },
+                layerOrders: {
+                    acceptReporters: true,
+                    items: ['front', 'back']
+                },
+                sprites: {
+                    acceptReporters: true,
+                    items: '_getSpriteMenu'
+                },
+                onOff: {
+                    acceptReporters: true,
+                    items: ['on', 'off']
+                },
+                coordinateModes: {
+                    acceptReporters: true,
+                    items: ['canvas', 'stage']
+                },
+                textMetrics: ['width', 'ascent', 'descent', 'left', 'right', 'font ascent', 'font descent'],
+                lineCaps: {
+                    acceptReporters: true,
+                    items: LINE_CAPS
+                },
+                lineJoins: {
+                    acceptReporters: true,
+                    items: LINE_JOINS
+                },
+                compositeOperations: {
+                    acceptReporters: true,
+                    items: COMPOSITE_OPERATIONS
+                },
+                textAligns: {
+                    acceptReporters: true,
+                    items: TEXT_ALIGNS
+                },
+                textBaselines: {
+                    acceptReporters: true,
+                    items: TEXT_BASELINES
+                },
+                textDirections: {
+                    acceptReporters: true,
+                    items: TEXT_DIRECTIONS
+                },
+                imageFormats: ['png', 'jpeg'],
+                matrixElements: ['a', 'b', 'c', 'd', 'e', 'f'],
+                axes: ['x', 'y'],
+                emitterParams: Object.keys(DEFAULT_EMITTER_PARAMS)
+            }
+        };
+    }
+
+    _getSpriteMenu() {
+        const items = [{
+            text: 'myself',
+            value: '_myself_'
+        }];
+        const targets = this.runtime.targets;
+        for (var i = 0; i < targets.length; i++) {
+            const target = targets[i];
+            if (target.isOriginal && !target.isStage) items.push(target.getName());
+        }
+        return items;
+    }
+
+    //w、h为逻辑尺寸，resolution为每个逻辑单位对应的像素数；不传尺寸时按画笔层的实际分辨率创建舞台大小的画布
+    _createCanvas(w, h, resolution) {
+        if (w == null || h == null) {
+            var penSkinId = this.runtime.penSkinId;
+            if (penSkinId == undefined) return null;
+            var penSkin = this.runtime.renderer._allSkins[penSkinId];
+            var size = penSkin.size;
+            w = STAGE_WIDTH;
+            h = STAGE_HEIGHT;
+            resolution = size[0] / STAGE_WIDTH;
+        }
+        if (!resolution) resolution = 1;
+        resolution = this._fitResolution(w, h, resolution);
+        var tmpCanvas = document.createElement("canvas");
+        tmpCanvas.width = Math.min(Math.round(w * resolution), 4096);
+        tmpCanvas.height = Math.min(Math.round(h * resolution), 4096);
+        var tmpCtx = tmpCanvas.getContext("2d");
+        var record = {
+            canvas: tmpCanvas,
+            ctx: tmpCtx,
+            width: w,
+            height: h,
+            resolution: resolution,
+            saveDepth: 0
+        };
+        this._resetTransform(record);
+        return record;
+    }
+
+    _getContext(idx) {
+        if (!this._ctx) {
+            this._canvasList = [];
+            for (var i = 0; i < 8; i++) this._canvasList.push(null);
+            var tmpCanvas = this._createCanvas();
+            if (!tmpCanvas) return null;
+            this._canvasList[0] = tmpCanvas;
+            this._setCurrentCanvas(tmpCanvas);
+            //按用户输入的名称索引的表不继承Object.prototype，constructor、toString之类的名称不会被当成已有的项
+            this._namedCanvases = Object.create(null);
+            this._bufferedImages = Object.create(null);
+            this._imageStates = Object.create(null);
+            this._imageCacheLimit = DEFAULT_IMAGE_CACHE_LIMIT;
+            this._hookRuntime();
+            this._styles = {};
+            this._paths = Object.create(null);
+            this._fonts = Object.create(null);
+            this._costumeImages = {};
+            this._recordings = Object.create(null);
+            this._recording = null;
+            this._tilesets = Object.create(null);
+            this._tileMaps = Object.create(null);
+            this._emitters = Object.create(null);
+
+            this._skinId = this.runtime.renderer.createBitmapSkin(tmpCanvas.canvas, tmpCanvas.resolution);
+            this._drawableId = this.runtime.renderer.createDrawable(StageLayering.PEN_LAYER);
+            this.runtime.renderer.updateDrawableSkinId(this._drawableId, this._skinId);
+            this.runtime.renderer.updateDrawableVisible(this._drawableId, false);
+        }
+        if (idx != null) {
+            var tmpCanvas = this._findCanvas(idx, true);
+            if (!tmpCanvas) return null;
+            this._setCurrentCanvas(tmpCanvas);
+        }
+        //录制中返回记录调用的代理，录制只针对开始录制时的画布
+        if (this._recording && this._recording.canvas == this._current) return this._recording.proxy;
+        return this._ctx;
+    }
+
+    //runtime事件在第一次创建画布时才监听，独立版本(CVS.js)构造时还没有runtime
+    _hookRuntime() {
+        if (this._runtimeHooked) return;
+        this._runtimeHooked = true;
+        this.runtime.on('PROJECT_STOP_ALL', this._onStopAll.bind(this));
+        this.runtime.on('RUNTIME_DISPOSED', this._onDispose.bind(this));
+    }
+
+    //停止时所有画布恢复默认状态，打开“保留画布”后内容和状态跨运行保留
+    _onStopAll() {
+        this._flushBlobAccess();
+        if (!this._ctx || this._persistCanvases) return;
+        const tmpCanvas = this._createCanvas();
+        if (!tmpCanvas) return;
+        this._allCanvases().forEach(oldCanvas => this._destroyLayer(oldCanvas));
+        for (var i = 0; i < this._canvasList.length; i++) this._canvasList[i] = null;
+        this._canvasList[0] = tmpCanvas;
+        this._namedCanvases = Object.create(null);
+        this._styles = {};
+        this._paths = Object.create(null);
+        this._recordings = Object.create(null);
+        this._recording = null;
+        this._tilesets = Object.create(null);
+        this._tileMaps = Object.create(null);
+        this._emitters = Object.create(null);
+        this._autoPresent = false;
+        this._presentedCanvas = null;
+        this.runtime.renderer.updateDrawableVisible(this._drawableId, false);
+        this._setCurrentCanvas(tmpCanvas);
+        this.runtime.requestRedraw();
+    }
+
+    //加载新作品时释放创建的皮肤和角色层，下次使用时重新初始化
+    _onDispose() {
+        this._flushBlobAccess();
+        if (!this._ctx) return;
+        const renderer = this.runtime.renderer;
+        this._allCanvases().forEach(tmpCanvas => {
+            if (tmpCanvas.layer) tmpCanvas.layer.target = null; //绑定的角色已经随作品销毁
+            this._destroyLayer(tmpCanvas);
+        });
+        if (this._frameRequest) {
+            cancelAnimationFrame(this._frameRequest);
+            this._frameRequest = null;
+        }
+        renderer.destroyDrawable(this._drawableId, StageLayering.PEN_LAYER);
+        renderer.destroySkin(this._skinId);
+        if (this._hitDrawableId != null) {
+            renderer.destroyDrawable(this._hitDrawableId, StageLayering.PEN_LAYER);
+            renderer.destroySkin(this._hitSkinId);
+            this._hitDrawableId = null;
+            this._hitSkinId = null;
+            this._hitCanvas = null;
+        }
+        this._ctx = null;
+        this._canvas = null;
+        this._current = null;
+        this._recording = null;
+        this._autoPresent = false;
+        this._presentedCanvas = null;
+        this._persistCanvases = false;
+        this._warnings = null;
+    }
+
+    _setCurrentCanvas(tmpCanvas) {
+        this._current = tmpCanvas;
+        this._canvas = tmpCanvas.canvas;
+        this._ctx = tmpCanvas.ctx;
+        if (this._autoPresent) this._requestFrame();
+    }
+
+    _allCanvases() {
+        const list = this._canvasList.filter(tmpCanvas => !!tmpCanvas);
+        for (var name in this._namedCanvases) list.push(this._namedCanvases[name]);
+        return list;
+    }
+
+    //标记当前画布内容已改变，rect为画布像素坐标下的改动范围，不传表示整个画布
+    _markDirty(rect) {
+        if (!this._current) return;
+        this._setDirty(this._current, rect);
+    }
+
+    _setDirty(tmpCanvas, rect) {
+        if (!rect) {
+            tmpCanvas.dirtyRect = null;
+        } else if (!tmpCanvas.dirty) {
+            tmpCanvas.dirtyRect = rect;
+        } else if (tmpCanvas.dirtyRect) {
+            const dirtyRect = tmpCanvas.dirtyRect;
+            const x0 = Math.min(dirtyRect.x, rect.x);
+            const y0 = Math.min(dirtyRect.y, rect.y);
+            const x1 = Math.max(dirtyRect.x + dirtyRect.w, rect.x + rect.w);
+            const y1 = Math.max(dirtyRect.y + dirtyRect.h, rect.y + rect.h);
+            tmpCanvas.dirtyRect = {
+                x: x0,
+                y: y0,
+                w: x1 - x0,
+                h: y1 - y0
+            };
+        }
+        tmpCanvas.dirty = true;
+        tmpCanvas.version = (tmpCanvas.version || 0) + 1; //帧循环会清除dirty，碰撞检测用版本号判断内容是否变化
+        if (tmpCanvas.layer || (this._autoPresent && tmpCanvas == this._current)) this._requestFrame();
+    }
+
+    //把当前变换下的矩形换算为画布像素坐标的外接矩形，有阴影或滤镜时无法确定范围，返回null
+    _transformRect(x, y, w, h) {
+        const ctx = this._ctx;
+        if (!ctx.getTransform) return null;
+        if (ctx.shadowBlur > 0 || ctx.shadowOffsetX || ctx.shadowOffsetY) return null;
+        if (ctx.filter && ctx.filter != 'none') return null;
+        if (UNBOUNDED_COMPOSITE_OPERATIONS.indexOf(ctx.globalCompositeOperation) >= 0) return null;
+        const m = ctx.getTransform();
+        const xs = [];
+        const ys = [];
+        [[x, y], [x + w, y], [x, y + h], [x + w, y + h]].forEach(p => {
+            xs.push(m.a * p[0] + m.c * p[1] + m.e);
+            ys.push(m.b * p[0] + m.d * p[1] + m.f);
+        });
+        //多留1像素给抗锯齿
+        const x0 = Math.floor(Math.min.apply(null, xs)) - 1;
+        const y0 = Math.floor(Math.min.apply(null, ys)) - 1;
+        const x1 = Math.ceil(Math.max.apply(null, xs)) + 1;
+        const y1 = Math.ceil(Math.max.apply(null, ys)) + 1;
+        return {
+            x: x0,
+            y: y0,
+            w: x1 - x0,
+            h: y1 - y0
+        };
+    }
+
+    //按名称或编号查找画布，编号会限制在0~7的固定画布槽内，create为true时自动创建空的画布槽
+    _findCanvas(id, create) {
+        const name = Cast.toString(id);
+        if (this._namedCanvases[name]) return this._namedCanvases[name];
+        if (name.trim() === '' || isNaN(Number(name))) return null;
+        var idx = Math.floor(Math.min(Math.max(0, Cast.toNumber(id)), 7));
+        if (!this._canvasList[idx] && create) this._canvasList[idx] = this._createCanvas();
+        return this._canvasList[idx];
+    }
+
+    //舞台坐标模式下原点在画布中心、y轴向上，角度使用角度制
+    _isStageMode() {
+        return this._current.coordinateMode == 'stage';
+    }
+
+    _mapY(y) {
+        y = Cast.toNumber(y);
+        return this._isStageMode() ? -y : y;
+    }
+
+    //旋转角度，舞台坐标模式下和Scratch一样顺时针为正
+    _mapRotation(angle) {
+        angle = Cast.toNumber(angle);
+        return this._isStageMode() ? angle * Math.PI / 180 : angle;
+    }
+
+    //圆弧角度，舞台坐标模式下和Scratch的方向一致：0向上、90向右
+    _mapDirection(angle) {
+        angle = Cast.toNumber(angle);
+        return this._isStageMode() ? (angle - 90) * Math.PI / 180 : angle;
+    }
+
+    //恢复画布的初始变换：按分辨率缩放，舞台坐标模式下再把原点移到中心
+    _resetTransform(tmpCanvas) {
+        tmpCanvas.ctx.setTransform(this._getBaseTransform(tmpCanvas));
+    }
+
+    //清除变换后的矩阵：按分辨率缩放，舞台坐标模式下原点移到画布中心
+    _getBaseTransform(tmpCanvas) {
+        const canvas = tmpCanvas.canvas;
+        const resolution = tmpCanvas.resolution;
+        if (tmpCanvas.coordinateMode == 'stage') {
+            return new DOMMatrix([resolution, 0, 0, resolution, canvas.width / 2, canvas.height / 2]);
+        }
+        return new DOMMatrix([resolution, 0, 0, resolution, 0, 0]);
+    }
+
+    //积木看到的变换矩阵，不包含分辨率缩放和坐标模式带来的基础变换
+    _getUserTransform(tmpCanvas) {
+        const matrix = this._getBaseTransform(tmpCanvas).invertSelf().multiplySelf(tmpCanvas.ctx.getTransform());
+        return this._flipMatrixY(tmpCanvas, matrix);
+    }
+
+    //舞台坐标模式下y轴向上，积木看到的矩阵和内部矩阵相差一次y翻转diag(1,-1)的共轭：b、c、f变号，两个方向的换算相同
+    _flipMatrixY(tmpCanvas, matrix) {
+        if (tmpCanvas.coordinateMode != 'stage') return matrix;
+        return new DOMMatrix([matrix.a, -matrix.b, -matrix.c, matrix.d, matrix.e, -matrix.f]);
+    }
+
+    setCoordinateMode(args, util) {
+        if (!this._getContext()) return;
+        const mode = Cast.toString(args.MODE) == 'stage' ? 'stage' : 'canvas';
+        if (this._current.coordinateMode == mode) return;
+        this._current.coordinateMode = mode;
+        this._resetTransform(this._current);
+    }
+
+    _clampCanvasSize(size) {
+        return Math.floor(Math.min(Math.max(1, Cast.toNumber(size)), 4096));
+    }
+
+    beginPath() {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        ctx.beginPath();
+    }
+
+    closePath() {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        ctx.closePath();
+    }
+
+    moveTo(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        ctx.moveTo(x, y);
+    }
+
+    lineTo(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        ctx.lineTo(x, y);
+    }
+
+    rect(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        const w = Cast.toNumber(args.W);
+        const h = Cast.toNumber(args.H);
+        ctx.rect(x, y, w, h);
+    }
+
+    roundRect(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        const w = Cast.toNumber(args.W);
+        const h = Cast.toNumber(args.H);
+        const radius = Math.min(Math.max(0, Cast.toNumber(args.RADIUS)), Math.abs(w) / 2, Math.abs(h) / 2);
+        if (ctx.roundRect) {
+            ctx.roundRect(x, y, w, h, radius);
+            return;
+        }
+        //旧浏览器没有roundRect，用arcTo拼出四个圆角
+        ctx.moveTo(x + radius, y);
+        ctx.arcTo(x + w, y, x + w, y + h, radius);
+        ctx.arcTo(x + w, y + h, x, y + h, radius);
+        ctx.arcTo(x, y + h, x, y, radius);
+        ctx.arcTo(x, y, x + w, y, radius);
+        ctx.closePath();
+    }
+
+    arc(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        const radius = Math.max(0, Cast.toNumber(args.RADIUS));
+        const startAngle = this._mapDirection(args.START_ANGLE);
+        const endAngle = this._mapDirection(args.END_ANGLE);
+        const anticlockwise = Cast.toBoolean(args.ANTICLOCKWISE);
+        ctx.arc(x, y, radius, startAngle, endAngle, anticlockwise);
+    }
+
+    arcTo(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const x1 = Cast.toNumber(args.X1);
+        const y1 = this._mapY(args.Y1);
+        const x2 = Cast.toNumber(args.X2);
+        const y2 = this._mapY(args.Y2);
+        const radius = Math.max(0, Cast.toNumber(args.RADIUS));
+        ctx.arcTo(x1, y1, x2, y2, radius);
+    }
+
+    ellipse(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        const radiusX = Math.max(0, Cast.toNumber(args.RADIUS_X));
+        const radiusY = Math.max(0, Cast.toNumber(args.RADIUS_Y));
+        const rotation = this._mapRotation(args.ROTATION);
+        const startAngle = this._mapDirection(args.START_ANGLE);
+        const endAngle = this._mapDirection(args.END_ANGLE);
+        const anticlockwise = Cast.toBoolean(args.ANTICLOCKWISE);
+        ctx.ellipse(x, y, radiusX, radiusY, rotation, startAngle, endAngle, anticlockwise);
+    }
+
+    bezierCurveTo(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const cp1x = Cast.toNumber(args.CP1X);
+        const cp1y = this._mapY(args.CP1Y);
+        const cp2x = Cast.toNumber(args.CP2X);
+        const cp2y = this._mapY(args.CP2Y);
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        ctx.bezierCurveTo(cp1x, cp1y, cp2x, cp2y, x, y);
+    }
+
+    quadraticCurveTo(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const cpx = Cast.toNumber(args.CPX);
+        const cpy = this._mapY(args.CPY);
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        ctx.quadraticCurveTo(cpx, cpy, x, y);
+    }
+
+    clip() {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        ctx.clip();
+    }
+
+    createPath(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        if (typeof Path2D == "undefined") return;
+        const name = Cast.toString(args.NAME);
+        const pathData = Cast.toString(args.PATH);
+        this._paths[name] = new Path2D(pathData);
+    }
+
+    fillPath(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const path = this._paths[Cast.toString(args.NAME)];
+        if (!path) return;
+        ctx.fill(path);
+        this._markDirty();
+    }
+
+    strokePath(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const path = this._paths[Cast.toString(args.NAME)];
+        if (!path) return;
+        ctx.stroke(path);
+        this._markDirty();
+    }
+
+    clipPath(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const path = this._paths[Cast.toString(args.NAME)];
+        if (!path) return;
+        ctx.clip(path);
+    }
+
+    isPointInPath(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return false;
+        const path = this._paths[Cast.toString(args.NAME)];
+        if (!path) return false;
+        const point = this._toDevicePoint(this._current, args.X, args.Y);
+        return ctx.isPointInPath(path, point.x, point.y);
+    }
+
+    isPointInStroke(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return false;
+        const path = this._paths[Cast.toString(args.NAME)];
+        if (!path) return false;
+        const point = this._toDevicePoint(this._current, args.X, args.Y);
+        return ctx.isPointInStroke(path, point.x, point.y);
+    }
+
+    isPointInCurrentPath(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return false;
+        const point = this._toDevicePoint(this._current, args.X, args.Y);
+        return ctx.isPointInPath(point.x, point.y);
+    }
+
+    //命中检测的点不受变换影响，需要先按画布的坐标模式和当前变换换算成像素坐标
+    _toDevicePoint(tmpCanvas, x, y) {
+        x = Cast.toNumber(x);
+        y = Cast.toNumber(y);
+        if (tmpCanvas.coordinateMode == 'stage') y = -y;
+        const m = tmpCanvas.ctx.getTransform();
+        return {
+            x: m.a * x + m.c * y + m.e,
+            y: m.b * x + m.d * y + m.f
+        };
+    }
+
+    isPixelOpaque(args, util) {
+        if (!this._getContext()) return false;
+        const tmpCanvas = this._findCanvas(args.CANVAS, false);
+        if (!tmpCanvas) return false;
+        const point = this._toDevicePoint(tmpCanvas, args.X, args.Y);
+        const x = Math.floor(point.x);
+        const y = Math.floor(point.y);
+        if (x < 0 || y < 0 || x >= tmpCanvas.canvas.width || y >= tmpCanvas.canvas.height) return false;
+        return tmpCanvas.ctx.getImageData(x, y, 1, 1).data[3] > 0;
+    }
+
+    //有独立图层时按图层在舞台上的位置检测，否则和印章一样把画布铺满舞台
+    isSpriteTouchingCanvas(args, util) {
+        if (!this._getContext()) return false;
+        const tmpCanvas = this._findCanvas(args.CANVAS, false);
+        if (!tmpCanvas) return false;
+        const spriteName = Cast.toString(args.SPRITE);
+        const target = spriteName == '_myself_' ? util.target : this.runtime.getSpriteTargetByName(spriteName);
+        if (!target || target.isStage) return false;
+        const renderer = this.runtime.renderer;
+        const layer = tmpCanvas.layer;
+        if (layer) {
+            if (tmpCanvas.dirty && layer.version != tmpCanvas.version) {
+                renderer.updateBitmapSkin(layer.skinId, this._getDisplayCanvas(tmpCanvas), tmpCanvas.resolution);
+                layer.version = tmpCanvas.version;
+                this.runtime.requestRedraw();
+            }
+            if (layer.target) {
+                if (layer.target == target) return false;
+                return renderer.isTouchingDrawables(target.drawableID, [layer.target.drawableID]);
+            }
+            return renderer.isTouchingDrawables(target.drawableID, [layer.drawableId]);
+        }
+        //使用单独的隐藏角色层检测，不影响印章和自动显示用的角色层，画布内容没变时不重复上传
+        if (this._hitDrawableId == null) {
+            this._hitSkinId = renderer.createBitmapSkin(this._getDisplayCanvas(tmpCanvas), tmpCanvas.resolution);
+            this._hitDrawableId = renderer.createDrawable(StageLayering.PEN_LAYER);
+            renderer.updateDrawableSkinId(this._hitDrawableId, this._hitSkinId);
+            renderer.updateDrawableVisible(this._hitDrawableId, false);
+        } else if (this._hitCanvas != tmpCanvas || this._hitVersion != tmpCanvas.version || tmpCanvas.overlay) {
+            renderer.updateBitmapSkin(this._hitSkinId, this._getDisplayCanvas(tmpCanvas), tmpCanvas.resolution);
+        }
+        this._hitCanvas = tmpCanvas;
+        this._hitVersion = tmpCanvas.version;
+        //只有可见的角色层参与碰撞检测，检测完立即隐藏，期间不会重绘舞台
+        renderer.updateDrawableVisible(this._hitDrawableId, true);
+        const touching = renderer.isTouchingDrawables(target.drawableID, [this._hitDrawableId]);
+        renderer.updateDrawableVisible(this._hitDrawableId, false);
+        return touching;
+    }
+
+    setLineWidth(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const lineWidth = args.LINE_WIDTH;
+        ctx.lineWidth = lineWidth;
+    }
+
+    setLineCap(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const lineCap = this._checkEnum('lineCap', args.LINE_CAP, LINE_CAPS);
+        if (lineCap == null) return;
+        ctx.lineCap = lineCap;
+    }
+
+    setLineJoin(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const lineJoin = this._checkEnum('lineJoin', args.LINE_JOIN, LINE_JOINS);
+        if (lineJoin == null) return;
+        ctx.lineJoin = lineJoin;
+    }
+
+    setMiterLimit(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const miterLimit = Cast.toNumber(args.MITER_LIMIT);
+        if (miterLimit > 0) ctx.miterLimit = miterLimit;
+    }
+
+    //LINE_DASH为逗号或空格分隔的线段长度，为空时恢复实线
+    setLineDash(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const segments = Cast.toString(args.LINE_DASH).split(/[\s,]+/)
+            .filter(item => item !== '')
+            .map(item => Math.max(0, Cast.toNumber(item)));
+        ctx.setLineDash(segments);
+    }
+
+    setLineDashOffset(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const offset = Cast.toNumber(args.OFFSET);
+        ctx.lineDashOffset = offset;
+    }
+
+    setShadowColor(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const shadowColor = Cast.toString(args.SHADOW_COLOR);
+        if (!this._checkColor(shadowColor)) return;
+        ctx.shadowColor = shadowColor;
+    }
+
+    //阴影不受变换影响，需要按画布分辨率换算成像素
+    setShadowBlur(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const shadowBlur = Math.max(0, Cast.toNumber(args.SHADOW_BLUR));
+        ctx.shadowBlur = shadowBlur * this._current.resolution;
+    }
+
+    setShadowOffset(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        ctx.shadowOffsetX = x * this._current.resolution;
+        ctx.shadowOffsetY = y * this._current.resolution;
+    }
+
+    setFilter(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        //滤镜中的px长度按实际像素计算，不受变换影响，和阴影一样按分辨率换算成逻辑单位
+        const resolution = this._current.resolution;
+        const filter = Cast.toString(args.FILTER).trim()
+            .replace(/(-?\d*\.?\d+)px/g, (match, value) => `${Number(value) * resolution}px`);
+        ctx.filter = filter || 'none';
     }
 
-    _createCanvas() {
-        var penSkinId = this.runtime.penSkinId;
-        if (penSkinId == undefined) return null;
-        var penSkin = this.runtime.renderer._allSkins[penSkinId];
-        var size = penSkin.size;
-        var w = size[0];
-        var h = size[1];
-        var tmpCanvas = document.createElement("canvas");
-        tmpCanvas.width = w;
-        tmpCanvas.height = h;
-        var tmpCtx = tmpCanvas.getContext("2d");
-        return {
-            canvas: tmpCanvas,
-            ctx: tmpCtx
-        };
+    setStrokeStyle(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const strokeStyle = this._getStyle(args.STROKE_STYLE);
+        if (strokeStyle == null) return;
+        ctx.strokeStyle = strokeStyle;
     }
 
-    _getContext(idx) {
-        if (!this._ctx) {
-            this._canvasList = [];
-            for (var i = 0; i < 8; i++) this._canvasList.push(null);
-            var tmpCanvas = this._createCanvas();
-            if (!tmpCanvas) return null;
-            this._canvasList[0] = tmpCanvas;
-            this._canvas = tmpCanvas.canvas;
-            this._ctx = tmpCanvas.ctx;
-            this._bufferedImages = {};
+    setFillStyle(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const fillStyle = this._getStyle(args.FILL_STYLE);
+        if (fillStyle == null) return;
+        ctx.fillStyle = fillStyle;
+    }
 
-            this._skinId = this.runtime.renderer.createBitmapSkin(this._createCanvas().canvas, 1);
-            this._drawableId = this.runtime.renderer.createDrawable(StageLayering.PEN_LAYER);
-            this.runtime.renderer.updateDrawableSkinId(this._drawableId, this._skinId);
-            this.runtime.renderer.updateDrawableVisible(this._drawableId, false);
+    setStrokeColor(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        ctx.strokeStyle = this._toCssColor(args.COLOR);
+    }
+
+    setFillColor(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        ctx.fillStyle = this._toCssColor(args.COLOR);
+    }
+
+    //颜色参数可能是取色器的#RRGGBB，也可能是Scratch颜色数值(最高字节为透明度)
+    _toCssColor(value) {
+        if (typeof value === 'string' && value.substring(0, 1) === '#') return value;
+        const decimal = Cast.toNumber(value);
+        const rgb = Color.decimalToRgb(decimal);
+        if (rgb.a < 255) return `rgba(${rgb.r},${rgb.g},${rgb.b},${rgb.a / 255})`;
+        return Color.decimalToHex(decimal & 0xFFFFFF);
+    }
+
+    //无效参数会被浏览器忽略，这里给出提示，同样的提示只弹出一次
+    _warn(message) {
+        log.warn(message);
+        if (!this._warnings) this._warnings = {};
+        if (this._warnings[message]) return;
+        this._warnings[message] = true;
+        const extUtils = this.runtime.extUtils;
+        if (extUtils && extUtils.Alerter) extUtils.Alerter.info(message);
+    }
+
+    _checkEnum(name, value, items) {
+        value = Cast.toString(value);
+        if (items.indexOf(value) >= 0) return value;
+        this._warn(`画布指令的${name}参数无效：${value}`);
+        return null;
+    }
+
+    //先后设置两种不同的颜色再赋值，无效的颜色字符串不会改变原值
+    _checkColor(color) {
+        if (!this._probeCtx) this._probeCtx = this._createCanvas(1, 1, 1).ctx;
+        const probeCtx = this._probeCtx;
+        probeCtx.fillStyle = '#000000';
+        probeCtx.fillStyle = color;
+        const first = probeCtx.fillStyle;
+        probeCtx.fillStyle = '#ffffff';
+        probeCtx.fillStyle = color;
+        if (first === probeCtx.fillStyle) return true;
+        this._warn(`画布指令的颜色参数无效：${color}`);
+        return false;
+    }
+
+    //按名称查找已创建的渐变或图案，找不到时按颜色字符串处理，颜色无效时返回null
+    _getStyle(style) {
+        style = Cast.toString(style);
+        if (Object.prototype.hasOwnProperty.call(this._styles, style)) return this._styles[style];
+        return this._checkColor(style) ? style : null;
+    }
+
+    createLinearGradient(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const name = Cast.toString(args.NAME);
+        const x0 = Cast.toNumber(args.X0);
+        const y0 = this._mapY(args.Y0);
+        const x1 = Cast.toNumber(args.X1);
+        const y1 = this._mapY(args.Y1);
+        this._styles[name] = ctx.createLinearGradient(x0, y0, x1, y1);
+    }
+
+    createRadialGradient(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const name = Cast.toString(args.NAME);
+        const x0 = Cast.toNumber(args.X0);
+        const y0 = this._mapY(args.Y0);
+        const r0 = Math.max(0, Cast.toNumber(args.R0));
+        const x1 = Cast.toNumber(args.X1);
+        const y1 = this._mapY(args.Y1);
+        const r1 = Math.max(0, Cast.toNumber(args.R1));
+        this._styles[name] = ctx.createRadialGradient(x0, y0, r0, x1, y1, r1);
+    }
+
+    createConicGradient(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        if (!ctx.createConicGradient) return; //旧浏览器不支持锥形渐变
+        const name = Cast.toString(args.NAME);
+        const startAngle = this._mapDirection(args.START_ANGLE);
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        this._styles[name] = ctx.createConicGradient(startAngle, x, y);
+    }
+
+    addColorStop(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const gradient = this._styles[Cast.toString(args.NAME)];
+        if (!gradient || !gradient.addColorStop) return;
+        const offset = Math.min(Math.max(0, Cast.toNumber(args.OFFSET)), 1);
+        const color = Cast.toString(args.COLOR);
+        if (!this._checkColor(color)) return;
+        gradient.addColorStop(offset, color);
+    }
+
+    createPattern(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const name = Cast.toString(args.NAME);
+        const image = this._getImageSource(args.IMAGE_ID);
+        if (!image) return;
+        let repetition = Cast.toString(args.REPETITION);
+        if (['repeat', 'repeat-x', 'repeat-y', 'no-repeat'].indexOf(repetition) < 0) repetition = 'repeat';
+        const pattern = ctx.createPattern(image, repetition);
+        if (!pattern) return;
+        const size = this._getSourceSize(image);
+        if (size[0] != image.width && pattern.setTransform && typeof DOMMatrix != "undefined") {
+            pattern.setTransform(new DOMMatrix().scale(size[0] / image.width, size[1] / image.height));
         }
-        if (idx != null) {
-            var tmpCanvas = this._canvasList[idx];
-            if (!tmpCanvas) {
-                tmpCanvas = this._createCanvas();
-                this._canvasList[idx] = tmpCanvas;
-            }
-            this._canvas = tmpCanvas.canvas;
-            this._ctx = tmpCanvas.ctx;
+        this._styles[name] = pattern;
+    }
+
+    stroke() {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        ctx.stroke();
+        this._markDirty();
+    }
+
+    fill() {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        ctx.fill();
+        this._markDirty();
+    }
+
+    setFont(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const font = args.FONT;
+        ctx.font = font;
+    }
+
+    //当前字体还在加载时返回加载的Promise，文字指令会等待加载完成(或失败后使用后备字体)再绘制
+    _waitForFont(ctx) {
+        for (var family in this._fonts) {
+            const font = this._fonts[family];
+            if (font.status == 'loading' && ctx.font.indexOf(family) >= 0) return font.promise;
         }
-        return this._ctx;
+        return null;
     }
 
-    beginPath() {
+    loadFont(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        ctx.beginPath();
+        if (typeof FontFace == "undefined") return;
+        const family = Cast.toString(args.FAMILY).trim();
+        if (!family) return;
+        const oldFont = this._fonts[family];
+        if (oldFont && oldFont.status != 'error') return oldFont.promise;
+        const extUtils = this.runtime.extUtils;
+        //地址加引号，含空格或括号时也是有效的字体源
+        const url = extUtils.getAssetFetchUrl(Cast.toString(args.FONT_ID)).replace(/"/g, '%22');
+        const fontFace = new FontFace(family, `url("${url}")`);
+        const font = {
+            status: 'loading'
+        };
+        font.promise = fontFace.load().then(loadedFace => {
+            document.fonts.add(loadedFace);
+            font.status = 'loaded';
+        }, () => {
+            font.status = 'error';
+        });
+        this._fonts[family] = font;
+        return font.promise;
     }
 
-    closePath() {
+    isFontLoaded(args, util) {
+        if (!this._getContext()) return false;
+        const font = this._fonts[Cast.toString(args.FAMILY).trim()];
+        return !!font && font.status == 'loaded';
+    }
+
+    strokeText(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        ctx.closePath();
+        const text = args.TEXT;
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        const pendingFont = this._waitForFont(ctx);
+        if (pendingFont) return this._drawLater(pendingFont, pendingCtx => pendingCtx.strokeText(text, x, y));
+        ctx.strokeText(text, x, y);
+        this._markDirty();
     }
 
-    moveTo(args, util) {
+    fillText(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
+        const text = args.TEXT;
         const x = Cast.toNumber(args.X);
-        const y = Cast.toNumber(args.Y);
-        ctx.moveTo(x, y);
+        const y = this._mapY(args.Y);
+        const pendingFont = this._waitForFont(ctx);
+        if (pendingFont) return this._drawLater(pendingFont, pendingCtx => pendingCtx.fillText(text, x, y));
+        ctx.fillText(text, x, y);
+        this._markDirty();
     }
 
-    lineTo(args, util) {
+    measureText(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const text = args.TEXT;
+        return ctx.measureText(text).width;
+    }
+
+    measureTextMetric(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return 0;
+        const metrics = ctx.measureText(Cast.toString(args.TEXT));
+        const metricMap = {
+            'width': 'width',
+            'ascent': 'actualBoundingBoxAscent',
+            'descent': 'actualBoundingBoxDescent',
+            'left': 'actualBoundingBoxLeft',
+            'right': 'actualBoundingBoxRight',
+            'font ascent': 'fontBoundingBoxAscent',
+            'font descent': 'fontBoundingBoxDescent'
+        };
+        const key = metricMap[Cast.toString(args.METRIC)];
+        if (!key) return 0;
+        return metrics[key] || 0;
+    }
+
+    setTextAlign(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const textAlign = this._checkEnum('textAlign', args.TEXT_ALIGN, TEXT_ALIGNS);
+        if (textAlign == null) return;
+        ctx.textAlign = textAlign;
+    }
+
+    setTextBaseline(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const textBaseline = this._checkEnum('textBaseline', args.TEXT_BASELINE, TEXT_BASELINES);
+        if (textBaseline == null) return;
+        ctx.textBaseline = textBaseline;
+    }
+
+    setDirection(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const direction = this._checkEnum('direction', args.DIRECTION, TEXT_DIRECTIONS);
+        if (direction == null) return;
+        ctx.direction = direction;
+    }
+
+    //按最大宽度把文字拆成多行，优先在空格处断行，没有空格时(如中文)按字符断行
+    _wrapText(ctx, text, maxWidth) {
+        const lines = [];
+        text.split('\n').forEach(paragraph => {
+            let line = '';
+            for (const ch of paragraph) {
+                const testLine = line + ch;
+                if (line && ctx.measureText(testLine).width > maxWidth) {
+                    const spaceIdx = line.lastIndexOf(' ');
+                    if (ch != ' ' && spaceIdx > 0) {
+                        lines.push(line.substr(0, spaceIdx));
+                        line = line.substr(spaceIdx + 1) + ch;
+                    } else {
+                        lines.push(line);
+                        line = ch == ' ' ? '' : ch;
+                    }
+                } else {
+                    line = testLine;
+                }
+            }
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    fillWrappedText(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
+        const text = Cast.toString(args.TEXT);
         const x = Cast.toNumber(args.X);
-        const y = Cast.toNumber(args.Y);
-        ctx.lineTo(x, y);
+        const y = this._mapY(args.Y);
+        const maxWidth = Math.max(1, Cast.toNumber(args.MAX_WIDTH));
+        const lineHeight = Cast.toNumber(args.LINE_HEIGHT);
+        //换行要按加载完成的字体测量宽度
+        const draw = drawCtx => {
+            const lines = this._wrapText(drawCtx, text, maxWidth);
+            for (var i = 0; i < lines.length; i++) {
+                drawCtx.fillText(lines[i], x, y + i * lineHeight);
+            }
+        };
+        const pendingFont = this._waitForFont(ctx);
+        if (pendingFont) return this._drawLater(pendingFont, draw);
+        draw(ctx);
+        this._markDirty();
     }
 
-    rect(args, util) {
+    clearRect(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
         const x = Cast.toNumber(args.X);
-        const y = Cast.toNumber(args.Y);
+        const y = this._mapY(args.Y);
         const w = Cast.toNumber(args.W);
         const h = Cast.toNumber(args.H);
-        ctx.rect(x, y, w, h);
+        ctx.clearRect(x, y, w, h);
+        this._markDirty(this._transformRect(x, y, w, h));
     }
 
-    arc(args, util) {
+    //像素编码为Scratch颜色数值，半透明时alpha放在最高字节，完全透明时为空字符串
+    _encodePixel(data, offset) {
+        const a = data[offset + 3];
+        if (a == 0) return '';
+        const color = Color.rgbToDecimal({
+            r: data[offset],
+            g: data[offset + 1],
+            b: data[offset + 2]
+        });
+        return a == 255 ? color : a * 0x1000000 + color;
+    }
+
+    _decodePixel(value, data, offset) {
+        if (value === '') {
+            data[offset] = data[offset + 1] = data[offset + 2] = data[offset + 3] = 0;
+            return;
+        }
+        const color = Cast.toRgbColorObject(value);
+        data[offset] = color.r;
+        data[offset + 1] = color.g;
+        data[offset + 2] = color.b;
+        data[offset + 3] = color.a == null ? 255 : color.a;
+    }
+
+    _lookupList(name, util) {
+        return util.target.lookupVariableByNameAndType(Cast.toString(name), Variable.LIST_TYPE);
+    }
+
+    //列表最多容纳200000项，超出时拒绝读写
+    _getPixelRect(args) {
+        const x = Math.floor(Cast.toNumber(args.X));
+        const y = Math.floor(Cast.toNumber(args.Y));
+        const w = Math.floor(Cast.toNumber(args.W));
+        const h = Math.floor(Cast.toNumber(args.H));
+        if (w <= 0 || h <= 0 || w * h > 200000) return null;
+        return {
+            x: x,
+            y: y,
+            w: w,
+            h: h
+        };
+    }
+
+    //像素积木和其它积木一样使用逻辑坐标(左上角为原点，不受变换影响)，高分辨率画布按分辨率换算成实际像素
+    getPixel(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return '';
+        const resolution = this._current.resolution;
+        const x = Math.floor(Cast.toNumber(args.X) * resolution);
+        const y = Math.floor(Cast.toNumber(args.Y) * resolution);
+        const imageData = ctx.getImageData(x, y, 1, 1);
+        return this._encodePixel(imageData.data, 0);
+    }
+
+    //把逻辑区域缩放成每个逻辑像素一个点，和列表中的项一一对应
+    _getLogicalImageData(tmpCanvas, rect) {
+        const resolution = tmpCanvas.resolution;
+        if (resolution == 1) return tmpCanvas.ctx.getImageData(rect.x, rect.y, rect.w, rect.h);
+        const buffer = this._createCanvas(rect.w, rect.h, 1);
+        buffer.ctx.imageSmoothingEnabled = false;
+        buffer.ctx.drawImage(tmpCanvas.canvas, rect.x * resolution, rect.y * resolution,
+            rect.w * resolution, rect.h * resolution, 0, 0, rect.w, rect.h);
+        return buffer.ctx.getImageData(0, 0, rect.w, rect.h);
+    }
+
+    getImageDataToList(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        const x = Cast.toNumber(args.X);
-        const y = Cast.toNumber(args.Y);
-        const radius = Cast.toNumber(args.RADIUS);
-        const startAngle = Cast.toNumber(args.START_ANGLE);
-        const endAngle = Cast.toNumber(args.END_ANGLE);
-        ctx.arc(x, y, radius, startAngle, endAngle);
+        const list = this._lookupList(args.LIST, util);
+        const rect = this._getPixelRect(args);
+        if (!list || !rect) return;
+        const data = this._getLogicalImageData(this._current, rect).data;
+        const value = [];
+        for (var i = 0; i < data.length; i += 4) {
+            value.push(this._encodePixel(data, i));
+        }
+        list.value = value;
+        list._monitorUpToDate = false;
     }
 
-    clip() {
+    putImageDataFromList(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        ctx.clip();
+        const list = this._lookupList(args.LIST, util);
+        const rect = this._getPixelRect(args);
+        if (!list || !rect) return;
+        const imageData = ctx.createImageData(rect.w, rect.h);
+        const count = Math.min(list.value.length, rect.w * rect.h);
+        for (var i = 0; i < count; i++) {
+            this._decodePixel(list.value[i], imageData.data, i * 4);
+        }
+        const resolution = this._current.resolution;
+        if (resolution == 1) {
+            ctx.putImageData(imageData, rect.x, rect.y);
+            this._markDirty(rect);
+            return;
+        }
+        //高分辨率画布把每个逻辑像素放大成对应的实际像素，和putImageData一样直接替换且不受裁剪影响
+        const deviceRect = {
+            x: Math.round(rect.x * resolution),
+            y: Math.round(rect.y * resolution),
+            w: Math.max(1, Math.round(rect.w * resolution)),
+            h: Math.max(1, Math.round(rect.h * resolution))
+        };
+        const deviceData = ctx.createImageData(deviceRect.w, deviceRect.h);
+        for (var dy = 0; dy < deviceRect.h; dy++) {
+            const sy = Math.min(rect.h - 1, Math.floor(dy / resolution));
+            for (var dx = 0; dx < deviceRect.w; dx++) {
+                const sx = Math.min(rect.w - 1, Math.floor(dx / resolution));
+                const from = (sy * rect.w + sx) * 4;
+                const to = (dy * deviceRect.w + dx) * 4;
+                deviceData.data[to] = imageData.data[from];
+                deviceData.data[to + 1] = imageData.data[from + 1];
+                deviceData.data[to + 2] = imageData.data[from + 2];
+                deviceData.data[to + 3] = imageData.data[from + 3];
+            }
+        }
+        ctx.putImageData(deviceData, deviceRect.x, deviceRect.y);
+        this._markDirty(deviceRect);
     }
 
-    setLineWidth(args, util) {
+    //批量绘制用的列表，名称为空或找不到列表时返回null
+    _getListValues(name, util) {
+        if (Cast.toString(name) === '') return null;
+        const list = this._lookupList(name, util);
+        return list ? list.value : null;
+    }
+
+    //列表中的颜色可以是Scratch颜色数值，也可以是任意css颜色字符串
+    _toListColor(value) {
+        if (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)))) {
+            return this._toCssColor(Cast.toNumber(value));
+        }
+        return Cast.toString(value);
+    }
+
+    _listPath(ctx, xs, ys) {
+        const count = Math.min(xs.length, ys.length);
+        ctx.beginPath();
+        for (var i = 0; i < count; i++) {
+            const x = Cast.toNumber(xs[i]);
+            const y = this._mapY(ys[i]);
+            if (i == 0) ctx.moveTo(x, y);
+            else ctx.lineTo(x, y);
+        }
+    }
+
+    strokePolylineFromLists(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        const lineWidth = args.LINE_WIDTH;
-        ctx.lineWidth = lineWidth;
+        const xs = this._getListValues(args.XS, util);
+        const ys = this._getListValues(args.YS, util);
+        if (!xs || !ys) return;
+        this._listPath(ctx, xs, ys);
+        ctx.stroke();
+        this._markDirty();
     }
 
-    setLineCap(args, util) {
+    fillPolygonFromLists(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        const lineCap = args.LINE_CAP;
-        ctx.lineCap = lineCap;
+        const xs = this._getListValues(args.XS, util);
+        const ys = this._getListValues(args.YS, util);
+        if (!xs || !ys) return;
+        this._listPath(ctx, xs, ys);
+        ctx.closePath();
+        ctx.fill();
+        this._markDirty();
+    }
+
+    //没有颜色列表时所有点合并成一条路径只填充一次
+    fillPointsFromLists(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const xs = this._getListValues(args.XS, util);
+        const ys = this._getListValues(args.YS, util);
+        if (!xs || !ys) return;
+        const sizes = this._getListValues(args.SIZES, util);
+        const colors = this._getListValues(args.COLORS, util);
+        const radius = Cast.toNumber(args.RADIUS);
+        const count = Math.min(xs.length, ys.length);
+        const fillStyle = ctx.fillStyle;
+        ctx.beginPath();
+        for (var i = 0; i < count; i++) {
+            const x = Cast.toNumber(xs[i]);
+            const y = this._mapY(ys[i]);
+            const r = sizes && i < sizes.length ? Cast.toNumber(sizes[i]) : radius;
+            if (r <= 0) continue;
+            if (colors) {
+                ctx.beginPath();
+                if (i < colors.length) ctx.fillStyle = this._toListColor(colors[i]);
+            }
+            ctx.moveTo(x + r, y);
+            ctx.arc(x, y, r, 0, Math.PI * 2);
+            if (colors) ctx.fill();
+        }
+        if (!colors) ctx.fill();
+        ctx.fillStyle = fillStyle;
+        this._markDirty();
+    }
+
+    fillRectsFromLists(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const xs = this._getListValues(args.XS, util);
+        const ys = this._getListValues(args.YS, util);
+        const ws = this._getListValues(args.WS, util);
+        const hs = this._getListValues(args.HS, util);
+        if (!xs || !ys || !ws || !hs) return;
+        const colors = this._getListValues(args.COLORS, util);
+        const count = Math.min(xs.length, ys.length, ws.length, hs.length);
+        const fillStyle = ctx.fillStyle;
+        for (var i = 0; i < count; i++) {
+            if (colors && i < colors.length) ctx.fillStyle = this._toListColor(colors[i]);
+            ctx.fillRect(Cast.toNumber(xs[i]), this._mapY(ys[i]), Cast.toNumber(ws[i]), Cast.toNumber(hs[i]));
+        }
+        ctx.fillStyle = fillStyle;
+        this._markDirty();
+    }
+
+    loadImage(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const imageId = Cast.toString(args.IMAGE_ID);
+        if (this._bufferedImages[imageId]) {
+            this._touchImage(imageId);
+            return;
+        }
+        const oldState = this._imageStates[imageId];
+        if (oldState && oldState.status == 'loading') return oldState.promise;
+        const state = {
+            status: 'loading',
+            error: ''
+        };
+        this._imageStates[imageId] = state;
+        state.promise = new Promise(resolve => {
+            const fail = error => {
+                state.status = 'error';
+                state.error = error;
+                resolve();
+            };
+            var extUtils = this.runtime.extUtils;
+            //先取得图片数据，按实际传输的字节数统计流量
+            fetch(extUtils.getAssetFetchUrl(imageId)).then(response => {
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                return response.blob();
+            }).then(blob => {
+                this._recordBlobAccess(blob.size);
+                const url = URL.createObjectURL(blob);
+                const img = new Image();
+                img.onload = () => {
+                    URL.revokeObjectURL(url);
+                    if (this._imageStates[imageId] != state) return resolve(); //加载期间被卸载
+                    this._bufferedImages[imageId] = img;
+                    state.status = 'loaded';
+                    this._evictImages();
+                    resolve();
+                };
+                img.onerror = () => {
+                    URL.revokeObjectURL(url);
+                    fail('invalid image data');
+                };
+                img.src = url;
+            }).catch(e => {
+                fail(e.message || 'failed to load image');
+            });
+        });
+        return state.promise;
+    }
+
+    _recordBlobAccess(size) {
+        if (this._pendingBlobSize == null) this._pendingBlobSize = 0;
+        this._pendingBlobSize += size;
+        if (this._pendingBlobSize >= BLOB_ACCESS_REPORT_SIZE) {
+            this._flushBlobAccess();
+        } else {
+            this._scheduleBlobAccess();
+        }
+    }
+
+    _scheduleBlobAccess() {
+        if (this._blobAccessTimer) return;
+        this._blobAccessTimer = setTimeout(() => {
+            this._blobAccessTimer = null;
+            this._flushBlobAccess();
+        }, BLOB_ACCESS_REPORT_INTERVAL);
+    }
+
+    //上报失败时把数量加回去，等下一次定时重试
+    _flushBlobAccess() {
+        if (!this._pendingBlobSize) return;
+        if (this._blobAccessTimer) {
+            clearTimeout(this._blobAccessTimer);
+            this._blobAccessTimer = null;
+        }
+        const deltaSize = this._pendingBlobSize;
+        this._pendingBlobSize = 0;
+        var extUtils = this.runtime.extUtils;
+        var ctx = extUtils.getContext();
+        extUtils.ajax({
+            url: '/WebApi/Log/BlobAccess',
+            loadingStyle: "none",
+            hashStr: '',
+            data: {
+                targetType: ctx.targetType,
+                targetId: ctx.target.id,
+                deltaSize: deltaSize,
+            },
+            type: 'POST'
+        }).error(r => {
+            this._pendingBlobSize += deltaSize;
+            this._scheduleBlobAccess();
+        });
+    }
+
+    //最近使用的图片移到缓存末尾，淘汰时从最前面开始
+    _touchImage(imageId) {
+        const img = this._bufferedImages[imageId];
+        delete this._bufferedImages[imageId];
+        this._bufferedImages[imageId] = img;
+    }
+
+    _evictImages() {
+        const imageIds = Object.keys(this._bufferedImages);
+        while (imageIds.length > this._imageCacheLimit) {
+            const imageId = imageIds.shift();
+            delete this._bufferedImages[imageId];
+            delete this._imageStates[imageId];
+        }
+    }
+
+    whenImageLoaded(args, util) {
+        if (!this._getContext()) return false;
+        return this._getImageStatus(args.IMAGE_ID) == 'loaded';
+    }
+
+    _getImageStatus(imageId) {
+        const state = this._imageStates[Cast.toString(imageId)];
+        return state ? state.status : '';
+    }
+
+    imageStatus(args, util) {
+        if (!this._getContext()) return '';
+        return this._getImageStatus(args.IMAGE_ID);
+    }
+
+    imageError(args, util) {
+        if (!this._getContext()) return '';
+        const state = this._imageStates[Cast.toString(args.IMAGE_ID)];
+        return state ? state.error : '';
+    }
+
+    imageWidth(args, util) {
+        if (!this._getContext()) return 0;
+        const img = this._bufferedImages[Cast.toString(args.IMAGE_ID)];
+        return img ? img.naturalWidth : 0;
+    }
+
+    imageHeight(args, util) {
+        if (!this._getContext()) return 0;
+        const img = this._bufferedImages[Cast.toString(args.IMAGE_ID)];
+        return img ? img.naturalHeight : 0;
+    }
+
+    unloadImage(args, util) {
+        if (!this._getContext()) return;
+        const imageId = Cast.toString(args.IMAGE_ID);
+        delete this._bufferedImages[imageId];
+        delete this._imageStates[imageId];
+    }
+
+    setImageCacheLimit(args, util) {
+        if (!this._getContext()) return;
+        this._imageCacheLimit = Math.max(1, Math.floor(Cast.toNumber(args.LIMIT)));
+        this._evictImages();
+    }
+
+    //根据图片ID取得已加载的图片，也可以是画布名称，ID较短时视为画布编号
+    _getImageSource(imageId) {
+        imageId = Cast.toString(imageId);
+        if (this._namedCanvases[imageId]) return this._namedCanvases[imageId].canvas;
+        if (imageId.length > 10) {
+            if (!this._bufferedImages[imageId]) return null;
+            this._touchImage(imageId);
+            return this._bufferedImages[imageId];
+        }
+        var tmpCanvas = this._findCanvas(imageId, false);
+        return tmpCanvas ? tmpCanvas.canvas : null;
+    }
+
+    //高分辨率画布作为图像源时按逻辑尺寸绘制
+    _getSourceSize(image) {
+        const tmpCanvas = this._allCanvases().find(c => c.canvas == image);
+        if (tmpCanvas) return [tmpCanvas.width, tmpCanvas.height];
+        return [image.width, image.height];
     }
 
-    setStrokeStyle(args, util) {
+    drawImage(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        const strokeStyle = args.STROKE_STYLE;
-        ctx.strokeStyle = strokeStyle;
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        const image = this._getImageSource(args.IMAGE_ID);
+        if (!image) return;
+        const size = this._getSourceSize(image);
+        ctx.drawImage(image, x, y, size[0], size[1]);
+        this._markDirty(this._transformRect(x, y, size[0], size[1]));
     }
 
-    setFillStyle(args, util) {
+    drawImageScaled(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        const fillStyle = args.FILL_STYLE;
-        ctx.fillStyle = fillStyle;
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        const w = Cast.toNumber(args.W);
+        const h = Cast.toNumber(args.H);
+        const image = this._getImageSource(args.IMAGE_ID);
+        if (!image) return;
+        ctx.drawImage(image, x, y, w, h);
+        this._markDirty(this._transformRect(x, y, w, h));
     }
 
-    stroke() {
+    //源矩形使用图像自身的坐标(左上角为原点)，高分辨率画布按逻辑尺寸换算
+    drawImageRegion(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        ctx.stroke();
+        const image = this._getImageSource(args.IMAGE_ID);
+        if (!image) return;
+        const size = this._getSourceSize(image);
+        const kx = image.width / size[0];
+        const ky = image.height / size[1];
+        const sx = Cast.toNumber(args.SX) * kx;
+        const sy = Cast.toNumber(args.SY) * ky;
+        const sw = Cast.toNumber(args.SW) * kx;
+        const sh = Cast.toNumber(args.SH) * ky;
+        const x = Cast.toNumber(args.X);
+        const y = this._mapY(args.Y);
+        const w = Cast.toNumber(args.W);
+        const h = Cast.toNumber(args.H);
+        if (sw <= 0 || sh <= 0) return;
+        ctx.drawImage(image, sx, sy, sw, sh, x, y, w, h);
+        this._markDirty(this._transformRect(x, y, w, h));
     }
 
-    fill() {
+    setImageSmoothing(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        ctx.fill();
+        ctx.imageSmoothingEnabled = Cast.toString(args.STATE) != 'off';
     }
 
-    setFont(args, util) {
-        const ctx = this._getContext();
-        if (!ctx) return;
-        const font = args.FONT;
-        ctx.font = font;
+    //造型按素材ID缓存为图片，第一次使用时需要等待加载
+    _loadCostumeImage(costume) {
+        const assetId = costume.assetId;
+        if (this._costumeImages[assetId]) return this._costumeImages[assetId];
+        const entry = {
+            image: new Image(),
+            status: 'loading'
+        };
+        entry.promise = new Promise(resolve => {
+            entry.image.onload = () => {
+                entry.status = 'loaded';
+                resolve();
+            };
+            entry.image.onerror = () => {
+                entry.status = 'error';
+                resolve();
+            };
+            entry.image.src = costume.asset.encodeDataURI();
+        });
+        this._costumeImages[assetId] = entry;
+        return entry;
     }
 
-    strokeText(args, util) {
+    //COSTUME为空时使用角色的当前造型，造型的旋转中心对齐到(x,y)
+    drawCostume(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        const text = args.TEXT;
+        const spriteName = Cast.toString(args.SPRITE);
+        const target = spriteName == '_myself_' ? util.target : this.runtime.getSpriteTargetByName(spriteName);
+        if (!target) return;
+        const costumes = target.getCostumes();
+        const costumeName = Cast.toString(args.COSTUME);
+        const costume = costumeName === '' ? costumes[target.currentCostume] : costumes[target.getCostumeIndexByName(costumeName)];
+        if (!costume || !costume.asset) return;
+        const entry = this._loadCostumeImage(costume);
         const x = Cast.toNumber(args.X);
-        const y = Cast.toNumber(args.Y);
-        ctx.strokeText(text, x, y);
+        const y = this._mapY(args.Y);
+        //util在各个线程之间共用，等待加载时先确定角色、造型和坐标，加载后画到当时的画布上
+        if (entry.status == 'loading') return this._drawLater(entry.promise, ctx => this._drawCostume(ctx, costume, entry, x, y));
+        const rect = this._drawCostume(ctx, costume, entry, x, y);
+        if (rect) this._markDirty(this._transformRect(rect.x, rect.y, rect.w, rect.h));
     }
 
-    fillText(args, util) {
-        const ctx = this._getContext();
-        if (!ctx) return;
-        const text = args.TEXT;
-        const x = Cast.toNumber(args.X);
-        const y = Cast.toNumber(args.Y);
-        ctx.fillText(text, x, y);
+    //(x,y)为已经按坐标模式换算过的位置，返回绘制的范围
+    _drawCostume(ctx, costume, entry, costumeX, costumeY) {
+        if (entry.status != 'loaded') return null;
+        const image = entry.image;
+        const resolution = costume.bitmapResolution || 1;
+        const w = image.width / resolution;
+        const h = image.height / resolution;
+        const x = costumeX - costume.rotationCenterX / resolution;
+        const y = costumeY - costume.rotationCenterY / resolution;
+        ctx.drawImage(image, x, y, w, h);
+        return {
+            x: x,
+            y: y,
+            w: w,
+            h: h
+        };
     }
 
-    measureText(args, util) {
-        const ctx = this._getContext();
-        if (!ctx) return;
-        const text = args.TEXT;
-        return ctx.measureText(text).width;
+    //等待字体或图片加载时记下当前画布和绘图状态，加载后按当时的状态画到同一画布，其间别的线程切换画布或修改状态都不受影响
+    _drawLater(promise, draw) {
+        const tmpCanvas = this._current;
+        const ctx = tmpCanvas.ctx;
+        const transform = ctx.getTransform();
+        const lineDash = ctx.getLineDash();
+        const properties = {};
+        DRAW_STATE_PROPERTIES.forEach(name => {
+            properties[name] = ctx[name];
+        });
+        return promise.then(() => {
+            ctx.save();
+            ctx.setTransform(transform);
+            ctx.setLineDash(lineDash);
+            DRAW_STATE_PROPERTIES.forEach(name => {
+                ctx[name] = properties[name];
+            });
+            draw(ctx);
+            ctx.restore();
+            this._setDirty(tmpCanvas);
+        });
     }
 
-    clearRect(args, util) {
+    //立即重绘舞台并把结果按舞台大小画到(x,y)，WebGL画布的内容只在本次重绘后可读
+    drawStage(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
+        const renderer = this.runtime.renderer;
         const x = Cast.toNumber(args.X);
-        const y = Cast.toNumber(args.Y);
-        const w = Cast.toNumber(args.W);
-        const h = Cast.toNumber(args.H);
-        ctx.clearRect(x, y, w, h);
+        const y = this._mapY(args.Y);
+        renderer.draw();
+        ctx.drawImage(renderer.canvas, x, y, STAGE_WIDTH, STAGE_HEIGHT);
+        this._markDirty(this._transformRect(x, y, STAGE_WIDTH, STAGE_HEIGHT));
     }
 
-    loadImage(args, util) {
-        const ctx = this._getContext();
-        if (!ctx) return;
-        const imageId = args.IMAGE_ID;
-        let self = this;
-        if (!this._bufferedImages[imageId]) {
-            return new Promise(resolve => {
-                const img = new Image();
-                img.crossOrigin = "anonymous";
-                img.onload = () => {
-                    this._bufferedImages[imageId] = img;
+    //图块集中的图块从1开始按行编号，0表示空格子
+    defineTileset(args, util) {
+        if (!this._getContext()) return;
+        const tileW = Math.floor(Cast.toNumber(args.TILE_W));
+        const tileH = Math.floor(Cast.toNumber(args.TILE_H));
+        if (tileW <= 0 || tileH <= 0) return;
+        this._tilesets[Cast.toString(args.NAME)] = {
+            imageId: Cast.toString(args.IMAGE_ID),
+            tileW: tileW,
+            tileH: tileH
+        };
+    }
 
-                    if (self._totalLoadedSize == null) self._totalLoadedSize = 0;
-                    self._totalLoadedSize += 128 * 1024;
-                    if (self._totalLoadedSize >= 2 * 1024 * 1024) {
-                        var extUtils = self.runtime.extUtils;
-                        var ctx = extUtils.getContext();
-                        extUtils.ajax({
-                            url: '/WebApi/Log/BlobAccess',
-                            loadingStyle: "none",
-                            hashStr: '',
-                            data: {
-                                targetType: ctx.targetType,
-                                targetId: ctx.target.id,
-                                deltaSize: this._totalLoadedSize,
-                            },
-                            type: 'POST'
-                        }).done(r => {
-                            self._totalLoadedSize = 0;
-                        }).error(r => {});
-                    }
+    _setTileMap(name, tileset, columns, tiles) {
+        this._tileMaps[Cast.toString(name)] = {
+            tileset: Cast.toString(tileset),
+            columns: columns,
+            rows: Math.ceil(tiles.length / columns),
+            tiles: tiles
+        };
+    }
 
-                    resolve();
-                };
-                img.onerror = () => {
-                    resolve();
-                };
-                var extUtils = this.runtime.extUtils;
-                img.src = extUtils.getAssetFetchUrl(imageId);
-            });
-        }
+    //列表按行依次存放每个格子的图块编号
+    setTileMapFromList(args, util) {
+        if (!this._getContext()) return;
+        const columns = Math.floor(Cast.toNumber(args.COLUMNS));
+        const list = this._lookupList(args.LIST, util);
+        if (columns <= 0 || !list) return;
+        const tiles = list.value.map(value => Math.floor(Cast.toNumber(value)));
+        this._setTileMap(args.MAP, args.TILESET, columns, tiles);
     }
 
-    drawImage(args, util) {
+    //每行之间用分号或换行分隔，同一行的图块编号用逗号或空格分隔
+    setTileMapFromString(args, util) {
+        if (!this._getContext()) return;
+        const rows = Cast.toString(args.TEXT).split(/[;\n]/)
+            .map(line => line.trim())
+            .filter(line => line !== '')
+            .map(line => line.split(/[\s,]+/));
+        const columns = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        if (columns == 0) return;
+        const tiles = [];
+        rows.forEach(row => {
+            for (var i = 0; i < columns; i++) tiles.push(i < row.length ? Math.floor(Cast.toNumber(row[i])) : 0);
+        });
+        this._setTileMap(args.MAP, args.TILESET, columns, tiles);
+    }
+
+    //行列和Scratch列表一样从1开始
+    setTile(args, util) {
+        if (!this._getContext()) return;
+        const map = this._tileMaps[Cast.toString(args.MAP)];
+        if (!map) return;
+        const column = Math.floor(Cast.toNumber(args.COLUMN)) - 1;
+        const row = Math.floor(Cast.toNumber(args.ROW)) - 1;
+        if (column < 0 || column >= map.columns || row < 0 || row >= map.rows) return;
+        map.tiles[row * map.columns + column] = Math.floor(Cast.toNumber(args.TILE));
+    }
+
+    //在(x,y)处绘制w*h的视口，视口左上角对应地图中(scrollX,scrollY)的位置，只绘制可见的格子
+    drawTileMap(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        const imageId = Cast.toString(args.IMAGE_ID);
+        const map = this._tileMaps[Cast.toString(args.MAP)];
+        if (!map) return;
+        const tileset = this._tilesets[map.tileset];
+        if (!tileset) return;
+        const image = this._getImageSource(tileset.imageId);
+        if (!image) return;
+        const size = this._getSourceSize(image);
+        const kx = image.width / size[0];
+        const ky = image.height / size[1];
+        const tileW = tileset.tileW;
+        const tileH = tileset.tileH;
+        const tilesPerRow = Math.floor(size[0] / tileW);
+        if (tilesPerRow <= 0) return;
         const x = Cast.toNumber(args.X);
-        const y = Cast.toNumber(args.Y);
-        if (imageId.length > 10) {
-            const img = this._bufferedImages[imageId];
-            if (!img) return;
-            ctx.drawImage(img, x, y);
-        } else {
-            var idx = Math.min(Math.max(0, Cast.toNumber(args.IMAGE_ID)), 7);
-            var tmpCanvas = this._canvasList[idx];
-            if (tmpCanvas) ctx.drawImage(tmpCanvas.canvas, x, y);
+        const y = this._mapY(args.Y);
+        const w = Cast.toNumber(args.W);
+        const h = Cast.toNumber(args.H);
+        if (w <= 0 || h <= 0) return;
+        const scrollX = Cast.toNumber(args.SCROLL_X);
+        const scrollY = Cast.toNumber(args.SCROLL_Y);
+        const column0 = Math.max(0, Math.floor(scrollX / tileW));
+        const column1 = Math.min(map.columns, Math.ceil((scrollX + w) / tileW));
+        const row0 = Math.max(0, Math.floor(scrollY / tileH));
+        const row1 = Math.min(map.rows, Math.ceil((scrollY + h) / tileH));
+        //用单独的Path2D裁剪，不影响正在构建的路径
+        const clip = new Path2D();
+        clip.rect(x, y, w, h);
+        ctx.save();
+        ctx.clip(clip);
+        for (var row = row0; row < row1; row++) {
+            for (var column = column0; column < column1; column++) {
+                const tile = map.tiles[row * map.columns + column];
+                if (!(tile > 0)) continue;
+                const sx = (tile - 1) % tilesPerRow * tileW;
+                const sy = Math.floor((tile - 1) / tilesPerRow) * tileH;
+                ctx.drawImage(image, sx * kx, sy * ky, tileW * kx, tileH * ky,
+                    x + column * tileW - scrollX, y + row * tileH - scrollY, tileW, tileH);
+            }
         }
+        ctx.restore();
+        this._markDirty(this._transformRect(x, y, w, h));
+    }
+
+    //(x,y)为地图中的像素坐标，左上角为原点，超出地图时返回0
+    tileAtPosition(args, util) {
+        if (!this._getContext()) return 0;
+        const map = this._tileMaps[Cast.toString(args.MAP)];
+        if (!map) return 0;
+        const tileset = this._tilesets[map.tileset];
+        if (!tileset) return 0;
+        const column = Math.floor(Cast.toNumber(args.X) / tileset.tileW);
+        const row = Math.floor(Cast.toNumber(args.Y) / tileset.tileH);
+        if (column < 0 || column >= map.columns || row < 0 || row >= map.rows) return 0;
+        return map.tiles[row * map.columns + column] || 0;
     }
 
     scale(args, util) {
@@ -1117,7 +4276,7 @@ class Scratch3CanvasBlocks {
     rotate(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        const angle = Cast.toNumber(args.ANGLE);
+        const angle = this._mapRotation(args.ANGLE);
         ctx.rotate(angle);
     }
 
@@ -1125,7 +4284,7 @@ class Scratch3CanvasBlocks {
         const ctx = this._getContext();
         if (!ctx) return;
         const x = Cast.toNumber(args.X);
-        const y = Cast.toNumber(args.Y);
+        const y = this._mapY(args.Y);
         ctx.translate(x, y);
     }
 
@@ -1138,25 +4297,79 @@ class Scratch3CanvasBlocks {
         const d = Cast.toNumber(args.D);
         const e = Cast.toNumber(args.E);
         const f = Cast.toNumber(args.F);
-        ctx.transform(a, b, c, d, e, f);
+        const matrix = this._flipMatrixY(this._current, new DOMMatrix([a, b, c, d, e, f]));
+        ctx.transform(matrix.a, matrix.b, matrix.c, matrix.d, matrix.e, matrix.f);
     }
 
     clearTransform(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.setTransform(this._getBaseTransform(this._current));
+    }
+
+    setTransform(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const matrix = new DOMMatrix([
+            Cast.toNumber(args.A),
+            Cast.toNumber(args.B),
+            Cast.toNumber(args.C),
+            Cast.toNumber(args.D),
+            Cast.toNumber(args.E),
+            Cast.toNumber(args.F)
+        ]);
+        ctx.setTransform(this._getBaseTransform(this._current).multiplySelf(this._flipMatrixY(this._current, matrix)));
+    }
+
+    //去掉浮点误差，避免旋转后出现0.9999999这样的值
+    _roundTransformValue(value) {
+        if (!isFinite(value)) return 0;
+        return Math.round(value * 1e9) / 1e9;
+    }
+
+    transformMatrix(args, util) {
+        if (!this._getContext()) return 0;
+        const element = Cast.toString(args.ELEMENT);
+        if (['a', 'b', 'c', 'd', 'e', 'f'].indexOf(element) < 0) return 0;
+        return this._roundTransformValue(this._getUserTransform(this._current)[element]);
+    }
+
+    //把当前变换下的坐标换算成清除变换后的坐标，inverse为true时反过来，可以把鼠标坐标换算到变换后的场景中
+    _transformPoint(args, inverse) {
+        const matrix = this._getUserTransform(this._current);
+        if (inverse) matrix.invertSelf();
+        const point = matrix.transformPoint(new DOMPoint(Cast.toNumber(args.X), Cast.toNumber(args.Y)));
+        if (Cast.toString(args.AXIS) == 'y') return this._roundTransformValue(point.y);
+        return this._roundTransformValue(point.x);
+    }
+
+    transformPoint(args, util) {
+        if (!this._getContext()) return 0;
+        return this._transformPoint(args, false);
+    }
+
+    inverseTransformPoint(args, util) {
+        if (!this._getContext()) return 0;
+        return this._transformPoint(args, true);
     }
 
     save() {
         const ctx = this._getContext();
         if (!ctx) return;
         ctx.save();
+        this._current.saveDepth++;
     }
 
     restore() {
         const ctx = this._getContext();
         if (!ctx) return;
         ctx.restore();
+        if (this._current.saveDepth > 0) this._current.saveDepth--;
+    }
+
+    saveDepth(args, util) {
+        if (!this._getContext()) return 0;
+        return this._current.saveDepth;
     }
 
     setGlobalAlpha(args, util) {
@@ -1169,24 +4382,734 @@ class Scratch3CanvasBlocks {
     setGlobalCompositeOperation(args, util) {
         const ctx = this._getContext();
         if (!ctx) return;
-        const compositeOperation = args.CompositeOperation;
+        const compositeOperation = this._checkEnum('globalCompositeOperation', args.CompositeOperation, COMPOSITE_OPERATIONS);
+        if (compositeOperation == null) return;
         ctx.globalCompositeOperation = compositeOperation;
     }
 
     switchCanvas(args, util) {
-        const number = Math.min(Math.max(0, Cast.toNumber(args.NUMBER)), 7);
-        const ctx = this._getContext(number); //使用指定编号获取ctx时会自动设置为当前ctx
+        if (!this._getContext()) return;
+        const ctx = this._getContext(args.NUMBER); //使用指定编号或名称获取ctx时会自动设置为当前ctx
+    }
+
+    createNamedCanvas(args, util) {
+        if (!this._getContext()) return;
+        const name = Cast.toString(args.NAME);
+        if (name.trim() === '' || !isNaN(Number(name))) return; //纯数字保留给固定画布槽
+        const w = this._clampCanvasSize(args.W);
+        const h = this._clampCanvasSize(args.H);
+        const tmpCanvas = this._createCanvas(w, h, 1);
+        const oldCanvas = this._namedCanvases[name];
+        this._namedCanvases[name] = tmpCanvas;
+        if (oldCanvas) {
+            this._destroyLayer(oldCanvas);
+            if (this._current == oldCanvas) this._setCurrentCanvas(tmpCanvas);
+        }
+    }
+
+    resizeCanvas(args, util) {
+        if (!this._getContext()) return;
+        const tmpCanvas = this._findCanvas(args.CANVAS, false);
+        if (!tmpCanvas) return;
+        const w = this._clampCanvasSize(args.W);
+        const h = this._clampCanvasSize(args.H);
+        if (tmpCanvas.width == w && tmpCanvas.height == h) return;
+        this._resizeBuffer(tmpCanvas, w, h, tmpCanvas.preferredResolution || tmpCanvas.resolution);
+    }
+
+    setCanvasResolution(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const resolution = Math.min(Math.max(0.25, Cast.toNumber(args.RESOLUTION)), 4);
+        const tmpCanvas = this._current;
+        if ((tmpCanvas.preferredResolution || tmpCanvas.resolution) == resolution) return;
+        this._resizeBuffer(tmpCanvas, tmpCanvas.width, tmpCanvas.height, resolution);
+    }
+
+    canvasResolution(args, util) {
+        if (!this._getContext()) return 1;
+        return this._current.resolution;
+    }
+
+    //修改像素尺寸会清空画布并重置绘图状态，先复制原有内容再按新分辨率画回去
+    //实际像素尺寸不能超过4096，超出时降低分辨率，并记下设置的分辨率供之后缩小画布时恢复
+    _fitResolution(w, h, resolution) {
+        return Math.min(resolution, 4096 / w, 4096 / h);
+    }
+
+    _resizeBuffer(tmpCanvas, w, h, resolution) {
+        tmpCanvas.preferredResolution = resolution;
+        resolution = this._fitResolution(w, h, resolution);
+        const canvas = tmpCanvas.canvas;
+        const backup = this._createCanvas(canvas.width, canvas.height, 1);
+        backup.ctx.drawImage(canvas, 0, 0);
+        const k = resolution / tmpCanvas.resolution;
+        canvas.width = Math.min(Math.round(w * resolution), 4096);
+        canvas.height = Math.min(Math.round(h * resolution), 4096);
+        tmpCanvas.width = w;
+        tmpCanvas.height = h;
+        tmpCanvas.resolution = resolution;
+        tmpCanvas.saveDepth = 0; //修改尺寸会清空save栈
+        tmpCanvas.ctx.drawImage(backup.canvas, 0, 0, backup.canvas.width * k, backup.canvas.height * k);
+        this._resetTransform(tmpCanvas);
+        this._setDirty(tmpCanvas);
+    }
+
+    deleteCanvas(args, util) {
+        if (!this._getContext()) return;
+        const tmpCanvas = this._findCanvas(args.CANVAS, false);
+        if (!tmpCanvas) return;
+        for (var name in this._namedCanvases) {
+            if (this._namedCanvases[name] == tmpCanvas) delete this._namedCanvases[name];
+        }
+        var idx = this._canvasList.indexOf(tmpCanvas);
+        if (idx >= 0) this._canvasList[idx] = null;
+        this._destroyLayer(tmpCanvas);
+        if (this._current == tmpCanvas) this._getContext(0);
+    }
+
+    canvasWidth(args, util) {
+        if (!this._getContext()) return 0;
+        const tmpCanvas = this._findCanvas(args.CANVAS, false);
+        return tmpCanvas ? tmpCanvas.width : 0;
+    }
+
+    canvasHeight(args, util) {
+        if (!this._getContext()) return 0;
+        const tmpCanvas = this._findCanvas(args.CANVAS, false);
+        return tmpCanvas ? tmpCanvas.height : 0;
+    }
+
+    //为画布创建独立的角色层，group为StageLayering中的图层组
+    _createLayer(tmpCanvas, group) {
+        const renderer = this.runtime.renderer;
+        if (tmpCanvas.layer) {
+            if (tmpCanvas.layer.group == group) return tmpCanvas.layer;
+            this._destroyLayer(tmpCanvas);
+        }
+        const skinId = renderer.createBitmapSkin(tmpCanvas.canvas, tmpCanvas.resolution);
+        const drawableId = renderer.createDrawable(group);
+        renderer.updateDrawableSkinId(drawableId, skinId);
+        tmpCanvas.layer = {
+            skinId: skinId,
+            drawableId: drawableId,
+            group: group,
+            target: null
+        };
+        this._setDirty(tmpCanvas);
+        return tmpCanvas.layer;
+    }
+
+    _destroyLayer(tmpCanvas) {
+        const layer = tmpCanvas.layer;
+        if (!layer) return;
+        if (layer.target) layer.target.updateAllDrawableProperties();
+        this.runtime.renderer.destroyDrawable(layer.drawableId, layer.group);
+        this.runtime.renderer.destroySkin(layer.skinId);
+        tmpCanvas.layer = null;
+        this.runtime.requestRedraw();
+    }
+
+    _requestFrame() {
+        if (this._frameRequest) return;
+        this._frameRequest = requestAnimationFrame(this._onFrame.bind(this));
+    }
+
+    //每帧更新粒子，并把改动过的画布上传到绑定的图层和舞台，只有绑定了角色或存在粒子发射器时才需要持续循环
+    _onFrame(time) {
+        this._frameRequest = null;
+        if (!this._ctx) return;
+        const renderer = this.runtime.renderer;
+        let active = this._updateEmitters(time);
+        let redraw = false;
+        if (this._autoPresent) redraw = this._present();
+        this._allCanvases().forEach(tmpCanvas => {
+            const layer = tmpCanvas.layer;
+            if (layer) {
+                //碰撞检测可能已经提前上传过，按版本号判断是否需要上传
+                if (tmpCanvas.dirty && layer.version != tmpCanvas.version) {
+                    renderer.updateBitmapSkin(layer.skinId, this._getDisplayCanvas(tmpCanvas), tmpCanvas.resolution);
+                    layer.version = tmpCanvas.version;
+                    redraw = true;
+                }
+                //角色切换造型时会换回造型皮肤，这里重新绑定
+                if (layer.target) {
+                    renderer.updateDrawableSkinId(layer.target.drawableID, layer.skinId);
+                    active = true;
+                }
+            }
+            tmpCanvas.dirty = false;
+            tmpCanvas.dirtyRect = null;
+        });
+        if (redraw) this.runtime.requestRedraw();
+        if (active) this._requestFrame();
+    }
+
+    //把当前画布显示到舞台，画布没变时只上传改动的区域
+    _present() {
+        const tmpCanvas = this._current;
+        const canvas = this._getDisplayCanvas(tmpCanvas);
+        const renderer = this.runtime.renderer;
+        const skin = renderer._allSkins[this._skinId];
+        const size = [canvas.width, canvas.height];
+        const full = this._presentedCanvas != tmpCanvas || !this._presentedSize ||
+            this._presentedSize[0] != size[0] || this._presentedSize[1] != size[1] ||
+            this._presentedResolution != tmpCanvas.resolution;
+        if (full) {
+            renderer.updateBitmapSkin(this._skinId, canvas, tmpCanvas.resolution);
+            this._presentedCanvas = tmpCanvas;
+            this._presentedSize = size;
+            this._presentedResolution = tmpCanvas.resolution;
+            return true;
+        }
+        if (!tmpCanvas.dirty) return false;
+        const rect = tmpCanvas.dirtyRect || {
+            x: 0,
+            y: 0,
+            w: size[0],
+            h: size[1]
+        };
+        const x0 = Math.max(0, rect.x);
+        const y0 = Math.max(0, rect.y);
+        const x1 = Math.min(size[0], rect.x + rect.w);
+        const y1 = Math.min(size[1], rect.y + rect.h);
+        if (x1 <= x0 || y1 <= y0) return false;
+        //局部上传需要同时改写纹理和碰撞检测用的轮廓数据，拿不到时退回完整上传
+        const silhouette = skin && skin._silhouette;
+        if (!skin || !skin._texture || !silhouette || !silhouette._colorData ||
+            silhouette._width != size[0] || silhouette._height != size[1]) {
+            renderer.updateBitmapSkin(this._skinId, canvas, tmpCanvas.resolution);
+            return true;
+        }
+        const w = x1 - x0;
+        const imageData = canvas.getContext('2d').getImageData(x0, y0, w, y1 - y0);
+        const gl = renderer.gl;
+        gl.bindTexture(gl.TEXTURE_2D, skin._texture);
+        //和scratch-render完整上传时一样按预乘alpha上传，半透明像素的混合结果才一致
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, true);
+        gl.texSubImage2D(gl.TEXTURE_2D, 0, x0, y0, gl.RGBA, gl.UNSIGNED_BYTE, imageData);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        for (var row = 0; row < y1 - y0; row++) {
+            silhouette._colorData.set(imageData.data.subarray(row * w * 4, (row + 1) * w * 4), ((y0 + row) * size[0] + x0) * 4);
+        }
+        return true;
+    }
+
+    setAutoPresent(args, util) {
+        if (!this._getContext()) return;
+        this._autoPresent = Cast.toString(args.STATE) == 'on';
+        this._presentedCanvas = null;
+        this.runtime.renderer.updateDrawableVisible(this._drawableId, this._autoPresent);
+        if (this._autoPresent) this._requestFrame();
+        this.runtime.requestRedraw();
+    }
+
+    //修改canvas尺寸会清空内容并把绘图状态(样式、变换、裁剪、save栈)恢复为默认值，尺寸、分辨率和坐标模式保持不变
+    _resetCanvas(tmpCanvas) {
+        const canvas = tmpCanvas.canvas;
+        canvas.width = canvas.width;
+        tmpCanvas.saveDepth = 0;
+        this._resetTransform(tmpCanvas);
+        this._setDirty(tmpCanvas);
+    }
+
+    resetCanvas(args, util) {
+        if (!this._getContext()) return;
+        this._resetCanvas(this._current);
+    }
+
+    beginRecording(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const recording = {
+            name: Cast.toString(args.NAME),
+            canvas: this._current,
+            commands: [],
+            origin: this._current.ctx.getTransform()
+        };
+        recording.proxy = this._createRecorder(this._current.ctx, recording);
+        this._recording = recording;
+    }
+
+    endRecording(args, util) {
+        if (!this._getContext() || !this._recording) return;
+        this._recordings[this._recording.name] = this._recording.commands;
+        this._recording = null;
+    }
+
+    //调用照常执行，同时把改变画布的方法调用和属性赋值记录下来
+    //setTransform是绝对变换，记录为相对开始录制时的变换，回放时才能跟随位置、缩放和旋转
+    _createRecorder(ctx, recording) {
+        const commands = recording.commands;
+        return new Proxy(ctx, {
+            get: (target, name) => {
+                const value = target[name];
+                if (typeof value != 'function') return value;
+                return function () {
+                    if (name == 'setTransform' || name == 'resetTransform') {
+                        const matrix = arguments.length == 0 ? new DOMMatrix() :
+                            arguments.length == 1 ? DOMMatrix.fromMatrix(arguments[0]) : new DOMMatrix(Array.prototype.slice.call(arguments));
+                        commands.push({
+                            transform: recording.origin.inverse().multiply(matrix)
+                        });
+                    } else if (UNRECORDED_METHODS.indexOf(name) < 0) {
+                        commands.push({
+                            method: name,
+                            args: Array.prototype.slice.call(arguments)
+                        });
+                    }
+                    return value.apply(target, arguments);
+                };
+            },
+            set: (target, name, value) => {
+                target[name] = value;
+                commands.push({
+                    property: name,
+                    value: target[name]
+                });
+                return true;
+            }
+        });
+    }
+
+    replayRecording(args, util) {
+        const ctx = this._getContext();
+        if (!ctx) return;
+        const commands = this._recordings[Cast.toString(args.NAME)];
+        if (!commands) return;
+        const scale = Cast.toNumber(args.SCALE);
+        ctx.save();
+        ctx.translate(Cast.toNumber(args.X), this._mapY(args.Y));
+        ctx.rotate(this._mapRotation(args.ROTATION));
+        ctx.scale(scale, scale);
+        const origin = ctx.getTransform();
+        //录制内容中的save/restore可能不成对，回放结束时恢复到回放前的状态
+        let depth = 0;
+        commands.forEach(command => {
+            if (command.transform) {
+                ctx.setTransform(origin.multiply(command.transform));
+            } else if (command.method == 'save') {
+                ctx.save();
+                depth++;
+            } else if (command.method == 'restore') {
+                if (depth == 0) return;
+                ctx.restore();
+                depth--;
+            } else if (command.method) {
+                ctx[command.method].apply(ctx, command.args);
+            } else {
+                ctx[command.property] = command.value;
+            }
+        });
+        for (; depth > 0; depth--) ctx.restore();
+        ctx.restore();
+        this._markDirty();
+    }
+
+    deleteRecording(args, util) {
+        if (!this._getContext()) return;
+        delete this._recordings[Cast.toString(args.NAME)];
+    }
+
+    setPersistCanvases(args, util) {
+        this._persistCanvases = Cast.toString(args.STATE) == 'on';
+    }
+
+    _getLayer(canvasId) {
+        if (!this._getContext()) return null;
+        const tmpCanvas = this._findCanvas(canvasId, false);
+        return tmpCanvas ? tmpCanvas.layer : null;
+    }
+
+    showCanvasLayer(args, util) {
+        if (!this._getContext()) return;
+        const tmpCanvas = this._findCanvas(args.CANVAS, false);
+        if (!tmpCanvas) return;
+        const group = Cast.toString(args.LAYER) == StageLayering.PEN_LAYER ? StageLayering.PEN_LAYER : StageLayering.SPRITE_LAYER;
+        const layer = this._createLayer(tmpCanvas, group);
+        if (layer.target) {
+            layer.target.updateAllDrawableProperties();
+            layer.target = null;
+        }
+        this.runtime.renderer.updateDrawableVisible(layer.drawableId, true);
+        this.runtime.requestRedraw();
+    }
+
+    hideCanvasLayer(args, util) {
+        const layer = this._getLayer(args.CANVAS);
+        if (!layer) return;
+        this.runtime.renderer.updateDrawableVisible(layer.drawableId, false);
+        this.runtime.requestRedraw();
+    }
+
+    setCanvasLayerPosition(args, util) {
+        const layer = this._getLayer(args.CANVAS);
+        if (!layer) return;
+        const x = Cast.toNumber(args.X);
+        const y = Cast.toNumber(args.Y);
+        this.runtime.renderer.updateDrawablePosition(layer.drawableId, [x, y]);
+        this.runtime.requestRedraw();
+    }
+
+    //ORDER为front/back时移到最前/最后，为数字时相对移动相应层数
+    setCanvasLayerOrder(args, util) {
+        const layer = this._getLayer(args.CANVAS);
+        if (!layer) return;
+        const order = Cast.toString(args.ORDER);
+        const renderer = this.runtime.renderer;
+        if (order == 'front') {
+            renderer.setDrawableOrder(layer.drawableId, Infinity, layer.group);
+        } else if (order == 'back') {
+            renderer.setDrawableOrder(layer.drawableId, -Infinity, layer.group, false);
+        } else {
+            renderer.setDrawableOrder(layer.drawableId, Cast.toNumber(order), layer.group, true);
+        }
+        this.runtime.requestRedraw();
+    }
+
+    attachCanvasToSprite(args, util) {
+        if (!this._getContext()) return;
+        const tmpCanvas = this._findCanvas(args.CANVAS, false);
+        if (!tmpCanvas) return;
+        const spriteName = Cast.toString(args.SPRITE);
+        const target = spriteName == '_myself_' ? util.target : this.runtime.getSpriteTargetByName(spriteName);
+        if (!target || target.isStage) return;
+        const layer = this._createLayer(tmpCanvas, StageLayering.PEN_LAYER);
+        if (layer.target && layer.target != target) layer.target.updateAllDrawableProperties();
+        layer.target = target;
+        this.runtime.renderer.updateDrawableVisible(layer.drawableId, false);
+        this.runtime.renderer.updateDrawableSkinId(target.drawableID, layer.skinId);
+        this.runtime.requestRedraw();
+    }
+
+    detachCanvasFromSprite(args, util) {
+        if (!this._getContext()) return;
+        const tmpCanvas = this._findCanvas(args.CANVAS, false);
+        if (!tmpCanvas || !tmpCanvas.layer || !tmpCanvas.layer.target) return;
+        this._destroyLayer(tmpCanvas);
+    }
+
+    //把画布的一块区域复制到新的画布，rect为逻辑坐标，超出画布的部分会被裁掉
+    _copyCanvasRegion(tmpCanvas, rect, resolution, format) {
+        const x = Math.max(0, rect.x);
+        const y = Math.max(0, rect.y);
+        const w = Math.min(tmpCanvas.width, rect.x + rect.w) - x;
+        const h = Math.min(tmpCanvas.height, rect.y + rect.h) - y;
+        if (w <= 0 || h <= 0) return null;
+        const copy = this._createCanvas(w, h, resolution);
+        if (format == 'jpeg') { //jpeg没有透明通道，透明部分默认会变成黑色
+            copy.ctx.fillStyle = '#ffffff';
+            copy.ctx.fillRect(0, 0, w, h);
+        }
+        const res = tmpCanvas.resolution;
+        copy.ctx.drawImage(tmpCanvas.canvas, x * res, y * res, w * res, h * res, 0, 0, w, h);
+        return copy;
+    }
+
+    _getImageFormat(format) {
+        return Cast.toString(format) == 'jpeg' ? 'jpeg' : 'png';
+    }
+
+    _toDataURL(tmpCanvas, rect, format) {
+        if (!tmpCanvas) return '';
+        const copy = this._copyCanvasRegion(tmpCanvas, rect, tmpCanvas.resolution, format);
+        if (!copy) return '';
+        try {
+            return copy.canvas.toDataURL(`image/${format}`);
+        } catch (e) { //画过跨域图片的画布无法导出
+            this._warn('画布包含跨域图片，无法导出');
+            return '';
+        }
+    }
+
+    _toBlob(copy, format) {
+        return new Promise(resolve => {
+            try {
+                copy.canvas.toBlob(resolve, `image/${format}`);
+            } catch (e) {
+                this._warn('画布包含跨域图片，无法导出');
+                resolve(null);
+            }
+        });
+    }
+
+    canvasToDataURL(args, util) {
+        if (!this._getContext()) return '';
+        const tmpCanvas = this._findCanvas(args.CANVAS, false);
+        if (!tmpCanvas) return '';
+        return this._toDataURL(tmpCanvas, {
+            x: 0,
+            y: 0,
+            w: tmpCanvas.width,
+            h: tmpCanvas.height
+        }, this._getImageFormat(args.FORMAT));
+    }
+
+    canvasRegionToDataURL(args, util) {
+        if (!this._getContext()) return '';
+        return this._toDataURL(this._findCanvas(args.CANVAS, false), {
+            x: Cast.toNumber(args.X),
+            y: Cast.toNumber(args.Y),
+            w: Cast.toNumber(args.W),
+            h: Cast.toNumber(args.H)
+        }, this._getImageFormat(args.FORMAT));
+    }
+
+    //位图造型按Scratch的惯例使用2倍分辨率保存，造型中心为画布中心
+    canvasToCostume(args, util) {
+        if (!this._getContext()) return;
+        const tmpCanvas = this._findCanvas(args.CANVAS, false);
+        if (!tmpCanvas) return;
+        const spriteName = Cast.toString(args.SPRITE);
+        const target = spriteName == '_myself_' ? util.target : this.runtime.getSpriteTargetByName(spriteName);
+        if (!target) return;
+        const copy = this._copyCanvasRegion(tmpCanvas, {
+            x: 0,
+            y: 0,
+            w: tmpCanvas.width,
+            h: tmpCanvas.height
+        }, 2, 'png');
+        const name = Cast.toString(args.NAME) || 'canvas';
+        return this._toBlob(copy, 'png').then(blob => {
+            if (!blob) return;
+            return blob.arrayBuffer().then(buffer => {
+                const storage = this.runtime.storage;
+                const renderer = this.runtime.renderer;
+                const asset = storage.createAsset(storage.AssetType.ImageBitmap, storage.DataFormat.PNG, new Uint8Array(buffer), null, true);
+                const costume = {
+                    name: name,
+                    dataFormat: 'png',
+                    asset: asset,
+                    assetId: asset.assetId,
+                    md5: `${asset.assetId}.png`,
+                    bitmapResolution: 2,
+                    rotationCenterX: copy.canvas.width / 2,
+                    rotationCenterY: copy.canvas.height / 2
+                };
+                costume.skinId = renderer.createBitmapSkin(copy.canvas, 2, [copy.width / 2, copy.height / 2]);
+                const size = renderer.getSkinSize(costume.skinId);
+                costume.size = [size[0] * 2, size[1] * 2];
+                target.addCostume(costume);
+                this.runtime.requestTargetsUpdate(target);
+                this.runtime.emitProjectChanged();
+            });
+        });
+    }
+
+    downloadCanvas(args, util) {
+        if (!this._getContext()) return;
+        const tmpCanvas = this._findCanvas(args.CANVAS, false);
+        if (!tmpCanvas) return;
+        const format = this._getImageFormat(args.FORMAT);
+        let fileName = Cast.toString(args.FILE_NAME).trim() || 'canvas';
+        if (!/\.(png|jpe?g)$/i.test(fileName)) fileName += format == 'jpeg' ? '.jpg' : '.png';
+        const copy = this._copyCanvasRegion(tmpCanvas, {
+            x: 0,
+            y: 0,
+            w: tmpCanvas.width,
+            h: tmpCanvas.height
+        }, tmpCanvas.resolution, format);
+        return this._toBlob(copy, format).then(blob => {
+            if (!blob) return;
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = fileName;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+        });
+    }
+
+    //粒子绘制在画布附带的独立缓冲中，显示画布(图层、绑定角色、自动显示、印章)时叠加在画布内容之上，不会改动画布本身的像素和路径
+    createEmitter(args, util) {
+        if (!this._getContext()) return;
+        const tmpCanvas = this._findCanvas(args.CANVAS, true);
+        if (!tmpCanvas) return;
+        const params = Object.assign({}, DEFAULT_EMITTER_PARAMS);
+        params.x = Cast.toNumber(args.X);
+        params.y = Cast.toNumber(args.Y);
+        this._emitters[Cast.toString(args.NAME)] = {
+            canvas: tmpCanvas,
+            params: params,
+            particles: [],
+            pending: 0
+        };
+        this._requestFrame();
+    }
+
+    setEmitterParam(args, util) {
+        if (!this._getContext()) return;
+        const emitter = this._emitters[Cast.toString(args.NAME)];
+        if (!emitter) return;
+        const param = Cast.toString(args.PARAM);
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_EMITTER_PARAMS, param)) return;
+        if (param == 'shape') {
+            const shape = this._checkEnum('shape', args.VALUE, PARTICLE_SHAPES);
+            if (shape != null) emitter.params.shape = shape;
+        } else if (param == 'start color' || param == 'end color') {
+            emitter.params[param] = Color.rgbToHex(Cast.toRgbColorObject(args.VALUE));
+        } else {
+            emitter.params[param] = Cast.toNumber(args.VALUE);
+        }
+    }
+
+    emitterParam(args, util) {
+        if (!this._getContext()) return '';
+        const emitter = this._emitters[Cast.toString(args.NAME)];
+        if (!emitter) return '';
+        const param = Cast.toString(args.PARAM);
+        if (!Object.prototype.hasOwnProperty.call(DEFAULT_EMITTER_PARAMS, param)) return '';
+        return emitter.params[param];
+    }
+
+    burstEmitter(args, util) {
+        if (!this._getContext()) return;
+        const emitter = this._emitters[Cast.toString(args.NAME)];
+        if (!emitter) return;
+        const count = Math.floor(Cast.toNumber(args.COUNT));
+        for (var i = 0; i < count; i++) this._spawnParticle(emitter);
+        this._requestFrame();
+    }
+
+    emitterParticleCount(args, util) {
+        if (!this._getContext()) return 0;
+        const emitter = this._emitters[Cast.toString(args.NAME)];
+        return emitter ? emitter.particles.length : 0;
+    }
+
+    deleteEmitter(args, util) {
+        if (!this._getContext()) return;
+        const name = Cast.toString(args.NAME);
+        const emitter = this._emitters[name];
+        if (!emitter) return;
+        delete this._emitters[name];
+        this._drawEmitters(emitter.canvas);
+    }
+
+    //粒子按画布的像素方向(y向下)保存和模拟，舞台坐标模式下生成时翻转y
+    _spawnParticle(emitter) {
+        if (emitter.particles.length >= MAX_PARTICLES) return;
+        const params = emitter.params;
+        const lifetime = params.lifetime;
+        if (lifetime <= 0) return;
+        const direction = (params.direction + (Math.random() - 0.5) * params.spread) * Math.PI / 180;
+        emitter.particles.push({
+            x: params.x,
+            y: emitter.canvas.coordinateMode == 'stage' ? -params.y : params.y,
+            vx: params.speed * Math.sin(direction),
+            vy: -params.speed * Math.cos(direction),
+            age: 0,
+            lifetime: lifetime
+        });
+    }
+
+    //返回是否还有发射器需要继续更新
+    _updateEmitters(time) {
+        const names = Object.keys(this._emitters);
+        const lastTime = this._lastFrameTime;
+        this._lastFrameTime = names.length > 0 ? time : null;
+        if (names.length == 0) return false;
+        //第一帧或者页面在后台暂停过时不推进太多时间
+        const dt = lastTime == null ? 0 : Math.min(Math.max(0, (time - lastTime) / 1000), 0.1);
+        const canvases = [];
+        const allCanvases = this._allCanvases();
+        names.forEach(name => {
+            const emitter = this._emitters[name];
+            if (allCanvases.indexOf(emitter.canvas) < 0) { //画布已被删除
+                delete this._emitters[name];
+                return;
+            }
+            const params = emitter.params;
+            emitter.pending += Math.max(0, params.rate) * dt;
+            for (; emitter.pending >= 1; emitter.pending--) this._spawnParticle(emitter);
+            emitter.particles = emitter.particles.filter(particle => {
+                particle.age += dt;
+                if (particle.age >= particle.lifetime) return false;
+                particle.vy += params.gravity * dt;
+                particle.x += particle.vx * dt;
+                particle.y += particle.vy * dt;
+                return true;
+            });
+            if (canvases.indexOf(emitter.canvas) < 0) canvases.push(emitter.canvas);
+        });
+        canvases.forEach(tmpCanvas => this._drawEmitters(tmpCanvas));
+        return true;
+    }
+
+    _drawEmitters(tmpCanvas) {
+        const hasEmitters = Object.keys(this._emitters).some(name => this._emitters[name].canvas == tmpCanvas);
+        if (!hasEmitters) {
+            tmpCanvas.overlay = null;
+            this._setDirty(tmpCanvas);
+            return;
+        }
+        const canvas = tmpCanvas.canvas;
+        let overlay = tmpCanvas.overlay;
+        if (!overlay || overlay.buffer.canvas.width != canvas.width || overlay.buffer.canvas.height != canvas.height) {
+            overlay = tmpCanvas.overlay = {
+                buffer: this._createCanvas(tmpCanvas.width, tmpCanvas.height, tmpCanvas.resolution),
+                display: this._createCanvas(tmpCanvas.width, tmpCanvas.height, tmpCanvas.resolution)
+            };
+        }
+        const ctx = overlay.buffer.ctx;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.setTransform(this._getBaseTransform(tmpCanvas));
+        for (var name in this._emitters) {
+            const emitter = this._emitters[name];
+            if (emitter.canvas != tmpCanvas) continue;
+            const params = emitter.params;
+            const startColor = Cast.toRgbColorObject(params['start color']);
+            const endColor = Cast.toRgbColorObject(params['end color']);
+            emitter.particles.forEach(particle => {
+                const t = particle.age / particle.lifetime;
+                const size = params['start size'] + (params['end size'] - params['start size']) * t;
+                const alpha = params['start alpha'] + (params['end alpha'] - params['start alpha']) * t;
+                if (size <= 0 || alpha <= 0) return;
+                const r = Math.round(startColor.r + (endColor.r - startColor.r) * t);
+                const g = Math.round(startColor.g + (endColor.g - startColor.g) * t);
+                const b = Math.round(startColor.b + (endColor.b - startColor.b) * t);
+                ctx.globalAlpha = Math.min(alpha, 1);
+                ctx.fillStyle = `rgb(${r},${g},${b})`;
+                if (params.shape == 'square') {
+                    ctx.fillRect(particle.x - size / 2, particle.y - size / 2, size, size);
+                } else {
+                    ctx.beginPath();
+                    ctx.arc(particle.x, particle.y, size / 2, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            });
+        }
+        this._setDirty(tmpCanvas);
+    }
+
+    //显示用的画面：有粒子时把画布内容和粒子缓冲合成到一起，否则直接使用画布
+    _getDisplayCanvas(tmpCanvas) {
+        const overlay = tmpCanvas.overlay;
+        if (!overlay) return tmpCanvas.canvas;
+        const ctx = overlay.display.ctx;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.clearRect(0, 0, overlay.display.canvas.width, overlay.display.canvas.height);
+        ctx.drawImage(tmpCanvas.canvas, 0, 0);
+        ctx.drawImage(overlay.buffer.canvas, 0, 0);
+        return overlay.display.canvas;
     }
 
     stampOnStage() {
         const ctx = this._getContext();
         if (!ctx) return;
 
-        var imageData = ctx.getImageData(0, 0, 480, 360);
-        var skin = this.runtime.renderer._allSkins[this._skinId];
-        skin._setTexture(imageData);
+        const source = this._getDisplayCanvas(this._current);
+        var imageData = source.getContext('2d').getImageData(0, 0, source.width, source.height);
+        this.runtime.renderer.updateBitmapSkin(this._skinId, imageData, this._current.resolution);
         this.runtime.renderer.penStamp(this.runtime.penSkinId, this._drawableId);
         this.runtime.requestRedraw();
+        if (this._autoPresent) {
+            this._presentedCanvas = null; //印章会覆盖自动显示的纹理，下一帧需要完整上传
+            this._requestFrame();
+        }
     }
 }
 